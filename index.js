@@ -6,97 +6,27 @@
  */
 
 import { extension_settings } from '../../../extensions.js';
-const { chatCompletionSettings, eventSource, eventTypes, renderExtensionTemplateAsync, mainApi, sendGenerationRequest } = SillyTavern.getContext();
-
-// Stolen from script.js and modify to work for the extension.
-class TempResponseLength {
-    static #originalResponseLength = -1;
-    static #lastApi = null;
-
-    static isCustomized() {
-        return this.#originalResponseLength > -1;
-    }
-
-    /**
-     * Save the current response length for the specified API.
-     * @param {string} api API identifier
-     * @param {number} responseLength New response length
-     */
-    static save(api, responseLength) {
-        if (api === 'openai') {
-            this.#originalResponseLength = chatCompletionSettings.openai_max_tokens;
-            //chatCompletionSettings.openai_max_tokens = responseLength;
-        } else {
-            throw new Error(`Unsupported API in class TempResponseLength: save(api, responseLength)`);
-        }
-
-        this.#lastApi = api;
-        console.log('[TempResponseLength] Saved original response length:', TempResponseLength.#originalResponseLength);
-    }
-
-    /**
-     * Restore the original response length for the specified API.
-     * @param {string|null} api API identifier
-     * @returns {void}
-     */
-    static restore(api) {
-        if (this.#originalResponseLength === -1) {
-            return;
-        }
-        if (!api && this.#lastApi) {
-            api = this.#lastApi;
-        }
-        if (api === 'openai') {
-            chatCompletionSettings.openai_max_tokens = this.#originalResponseLength;
-        } else {
-            throw new Error(`Unsupported API in class TempResponseLength: restore(api)`);
-        }
-
-        console.log('[TempResponseLength] Restored original response length:', this.#originalResponseLength);
-        this.#originalResponseLength = -1;
-        this.#lastApi = null;
-    }
-
-    /**
-     * Sets up an event hook to restore the original response length when the event is emitted.
-     * @param {string} api API identifier
-     * @returns {function(): void} Event hook function
-     */
-    static setupEventHook(api) {
-        const eventHook = () => {
-            if (this.isCustomized()) {
-                this.restore(api);
-            }
-        };
-
-        switch (api) {
-            case 'openai':
-                eventSource.once(eventTypes.CHAT_COMPLETION_SETTINGS_READY, eventHook);
-                break;
-            default:
-                eventSource.once(eventTypes.GENERATE_AFTER_DATA, eventHook);
-                break;
-        }
-
-        return eventHook;
-    }
-
-    /**
-     * Removes the event hook for the specified API.
-     * @param {string} api API identifier
-     * @param {function(): void} eventHook Previously set up event hook
-     */
-    static removeEventHook(api, eventHook) {
-        switch (api) {
-            case 'openai':
-                eventSource.removeListener(eventTypes.CHAT_COMPLETION_SETTINGS_READY, eventHook);
-                break;
-            default:
-                eventSource.removeListener(eventTypes.GENERATE_AFTER_DATA, eventHook);
-                break;
-        }
-    }
-}
+import { createGenerationParameters, getChatCompletionModel } from '../../../openai.js';
+import { resolveSecretKey, secret_state } from '../../../secrets.js';
+import { download } from '../../../utils.js';
+import { applyRefreshOutcome, createAdaptiveState, getAdaptiveInterval, isCacheHit } from './src/adaptive.js';
+import { CacheSegment, MAX_BREAKPOINTS, placeCacheBreakpoints, supportsCacheBreakpoints } from './src/breakpoints.js';
+import { ErrorCategory } from './src/errors.js';
+import { getDueExpiryWarning, getNextExpiryCheck, parseExpiryThresholds } from './src/expiry.js';
+import { fingerprintPrefix, getCacheablePrefixLength, hashString, trimToCacheablePrefix } from './src/fingerprint.js';
+import { addSpend, checkSpendLimits, countAllowedRefreshes, getWindowEnd, isWithinWindows, parseTimeWindows, rollSpendCounter } from './src/guardrails.js';
+import { addHistoryEntry, historyToCsv, historyToJson, parseHistory } from './src/history.js';
+import { createTotals, estimateCost, estimateUsage, findModelPrice, getDayKey, parseUsage, recordRefresh } from './src/ledger.js';
+import { BUDGET_USED_UP_REASON, evaluateRefreshPolicy, getPolicyDeadline } from './src/policy.js';
+import { applySettingsProfile, createSettingsProfile, resolveSettingsProfile } from './src/profiles.js';
+import { buildChatCompletionPayload, buildTextCompletionPayload, sendRefreshRequest } from './src/requests.js';
+import { createRefresher, refresherEvents } from './src/refresher.js';
+import { AUTH_PAUSE_REASON, USER_PAUSE_REASON, USER_STOP_REASON } from './src/scheduler.js';
+import { callServerPlugin, SERVER_SYNC_INTERVAL, toRefreshOutcome } from './src/server-keep-alive.js';
+import { createTabSync } from './src/tab-sync.js';
+import { checkRefreshTarget, createRefreshTarget, describeRefreshTarget, isSameConnection } from './src/target.js';
+import { FALLBACK_PROFILE_KEY, resolveTtlProfile } from './src/ttl-profiles.js';
+const { chatCompletionSettings, eventSource, eventTypes, renderExtensionTemplateAsync, getRequestHeaders, saveSettingsDebounced } = SillyTavern.getContext();
 
 // Log extension loading attempt
 console.log('Cache Refresher: Loading extension...');
@@ -106,14 +36,67 @@ const extensionName = 'Cache-Refresh-SillyTavern';
 const extensionFolderPath = `scripts/extensions/third-party/${extensionName}`;
 const path = `third-party/${extensionName}`;
 
+// Endpoint SillyTavern uses for chat completion requests
+const chatCompletionEndpoint = '/api/backends/chat-completions/generate';
+
+// Endpoints of the text completion APIs whose backends keep a prompt cache, keyed by main API
+const textCompletionEndpoints = {
+    textgenerationwebui: '/api/backends/text-completions/generate',
+    kobold: '/api/backends/kobold/generate',
+};
+
+// A keystroke after a pause this long starts a new typing burst, which may warm up the chat once
+const typingBurstPause = 30 * 1000;
+
+// Circumference of the countdown ring of the status indicator (radius 16)
+const ringCircumference = 2 * Math.PI * 16;
+
+// Generation types that don't add a message to the chat; their prompts are never captured, only counted as cache touches
+const auxiliaryGenerationTypes = ['quiet', 'impersonate'];
+
 // Default configuration
 const defaultSettings = {
     enabled: false,
-    refreshInterval: (5 * 60 - 30) * 1000, // 4 minutes 30 seconds in milliseconds (optimized for typical cache lifetimes)
-    maxRefreshes: 3,                       // Maximum number of refresh requests to send before stopping
+    refreshInterval: (5 * 60 - 30) * 1000, // Fallback interval for sources without a TTL profile: 4 minutes 30 seconds in milliseconds
+    maxRefreshes: 3,                       // Maximum number of refresh requests to send before stopping (0 for no limit)
     maxTokens: 1,                          // Maximum tokens to request for cache refresh (keeping it minimal to reduce costs)
+    keepWarmWhileTyping: true,             // Keep refreshing regardless of the budget while the user is typing
+    typingGrace: 60 * 1000,                // How long after the last keystroke the user still counts as typing, in milliseconds
+    hiddenTimeout: 15 * 60 * 1000,         // Stop refreshing after the tab has been hidden this long (0 to disable)
+    idleTimeout: 0,                        // Stop refreshing after this long without any interaction (0 to disable)
+    maxKeepWarm: 0,                        // Stop refreshing after keeping a chat warm this long in total (0 to disable)
+    cacheDepth: 2,                         // Depth of the cache breakpoint in role switches, like cachingAtDepth in config.yaml
+    onPrefixChange: 'recapture',           // What to do when the cached prefix no longer matches the chat: 'recapture' or 'invalidate'
+    trimRefreshPrompt: true,               // Send only the cacheable prefix of chat completion prompts in refreshes
+    manageBreakpoints: false,              // Place the cache breakpoints of chat completion prompts instead of relying on SillyTavern
+    maxBreakpoints: MAX_BREAKPOINTS,       // Maximum number of cache breakpoints in a prompt, including any already there
+    serverKeepAlive: true,                 // Hand running cycles to the server plugin when it is installed
+    maxWarmChats: 3,                       // Maximum number of chats kept warm at the same time
+    warmUpOnOpen: false,                   // Write the cache as soon as a chat is opened
+    warmUpOnTyping: false,                 // Write the cache when the user starts typing in a chat that isn't warm
+    warmUpMinTokens: 8000,                 // Only warm up chats whose prompt is at least this many tokens
+    refreshWindows: '',                    // Time-of-day windows refreshes are allowed in, e.g. '09:00-12:00, 13:00-18:00' (empty for always)
+    dailyTokenLimit: 0,                    // Tokens refreshes may process per day (0 for no limit)
+    dailyCostLimit: 0,                     // Estimated USD refreshes may spend per day (0 for no limit)
+    monthlyTokenLimit: 0,                  // Tokens refreshes may process per month (0 for no limit)
+    monthlyCostLimit: 0,                   // Estimated USD refreshes may spend per month (0 for no limit)
+    spend: { day: '', month: '', dayTokens: 0, dayCost: 0, monthTokens: 0, monthCost: 0 }, // Refresh spend of the current day and month, reset at midnight
+    ttlOverrides: {},                      // User overrides of the cache TTL profiles, keyed by chat completion source
+    settingsProfiles: {},                  // Settings overrides bound to a character, group or connection profile, keyed by binding
+    adaptiveInterval: false,               // Whether to tune the refresh interval from cache hits and misses
+    adaptiveMinInterval: 60 * 1000,        // Shortest interval the adaptive tuning may use, in milliseconds
+    adaptiveMaxInterval: 60 * 60 * 1000,   // Longest interval the adaptive tuning may use, in milliseconds
+    adaptiveState: {},                     // Learned intervals, keyed by TTL profile
+    historyLimit: 200,                     // Maximum number of refresh attempts kept in the history
+    priceOverrides: {},                    // User prices in USD per million tokens, keyed by model identifier
+    ledger: { days: {}, chats: {} },       // Persistent refresh spend and usage totals per day and per chat
     showNotifications: true,               // Whether to display toast notifications for each refresh
     showStatusIndicator: true,             // Whether to display the floating status indicator
+    extendBy: 3,                           // Number of refreshes the "+N" button adds to a cycle
+    expiryWarnings: '60, 15',              // Seconds before the cache of a cycle that ran out of refreshes expires to warn at (empty for none)
+    expiryBrowserNotifications: false,     // Also warn with a browser notification
+    expirySound: false,                    // Also play a sound with each expiry warning
+    indicatorPosition: null,               // Position the status indicator was dragged to, null for the default corner
 };
 
 // Initialize extension settings
@@ -123,21 +106,99 @@ if (!extension_settings[extensionName]) {
 }
 
 // Merge with defaults - preserves user settings while ensuring all required properties exist
-extension_settings[extensionName] = Object.assign({}, defaultSettings, extension_settings[extensionName]);
+extension_settings[extensionName] = Object.assign(structuredClone(defaultSettings), extension_settings[extensionName]);
 const settings = extension_settings[extensionName];
 console.log('Cache Refresher: Settings initialized', settings);
 
+// Serialized value of each setting as last saved, to log only the settings a save changed
+const savedSettings = Object.fromEntries(Object.entries(settings).map(([key, value]) => [key, JSON.stringify(value)]));
+
+/** @type {(import('./src/profiles.js').SettingsProfile & {key: string})|null} */
+let activeSettingsProfile = null; // Settings profile bound to the current chat or connection profile
+const effective = applySettingsProfile(settings, null); // Settings in effect, the global ones with the active profile applied
+
 // State variables
-let lastGenerationData = {
-    prompt: null,                // Stores the last prompt sent to the AI model
-};
-let refreshTimer = null;         // Timer for scheduling the next refresh
-let refreshesLeft = 0;           // Counter for remaining refreshes in the current cycle
-let refreshInProgress = false;   // Flag to prevent concurrent refreshes
+/** @typedef {import('./src/scheduler.js').RefreshSession} RefreshSession */
+
+// Refresh cycles of every chat, connected to the settings, the provider and the UI of this page
+const {
+    sessions,
+    getSession,
+    isSessionActive,
+    countActiveSessions,
+    removeSession,
+    evictSessions,
+    clearAllSessions,
+    beginRefreshCycle,
+    endRefreshCycle,
+    stopRefreshCycle,
+    rescheduleActiveSessions,
+    scheduleNextRefresh,
+    armRefreshTimer,
+    resumeRefreshCycle,
+    touchSessionCache,
+    refreshCache,
+    abortRefresh,
+} = createRefresher({
+    getSessionSettings,
+    getMaxSessions: () => settings.maxWarmChats || defaultSettings.maxWarmChats,
+    getChatName: getCurrentChatName,
+    getInterval: getRefreshInterval,
+    getTtlProfile: getActiveProfile,
+    checkPolicy: checkRefreshPolicy,
+    isLeader: isRefresher,
+    getGeneratingChatId: () => generationActive ? getCurrentChatId() : null,
+    buildRequest: buildSessionRequest,
+    sendRequest: (endpoint, payload, signal) => sendRefreshRequest(endpoint, payload, getRequestHeaders(), signal),
+    onRefreshSettled: handleRefreshOutcome,
+    onUpdate: updateUI,
+    shareSession,
+    handOffToServer,
+    clearPauseWarning,
+    startExpiryCountdown,
+    stopExpiryCountdown,
+    emitEvent: emitRefresherEvent,
+    log: debugLog,
+});
+
 let statusIndicator = null;      // DOM element for the floating status indicator
-let nextRefreshTime = null;      // Timestamp for the next scheduled refresh
 let statusUpdateInterval = null; // Interval for updating the countdown timer
 
+let generationActive = false;    // Whether a real (non dry run) generation is in progress
+let currentGeneration = null;    // Type of the running generation and the chat whose cache it touches
+let pendingDryRun = null;        // Resolver waiting for the prompt of a dry run started by the extension
+let prefixCheckTimer = null;     // Debounce timer for prompt prefix checks
+let warmUpTimer = null;          // Delay between opening a chat and warming it up
+let warmUpInProgress = false;    // Whether a warm-up is building its prompt or waiting for its request
+let pauseWarning = null;         // Persistent toast shown while a cycle is paused by an auth or quota error
+const expiryCountdowns = new Map(); // Final countdowns of chats that ran out of refreshes: last warning level and timer, by chat ID
+let ledgerRevision = 0;          // Incremented whenever the ledger changes
+let renderedLedger = null;       // Day and ledger revision the ledger panel shows, null before it was rendered
+let activatedLorebook = [];      // Content of the lorebook entries activated by the last generation
+const promptBreakpoints = new WeakMap(); // Cache breakpoints the extension placed, by the prompt they were placed in
+
+/** @type {import('./src/tab-sync.js').TabSync|null} */
+let tabSync = null;              // Coordination with other SillyTavern tabs of this browser
+
+let serverPlugin = false;        // Whether the server plugin is installed
+let serverOriginError = null;    // Why the server plugin can't reach this server's endpoints, null as long as it can
+const serverAcks = new Map();    // Sequence number of the last server plugin result recorded, by chat ID
+const serverRequests = new Map(); // Hash of the refresh request the server plugin holds, by chat ID
+const costReportedModels = new Set(); // Models without a known price whose refreshes came with a cost from the provider
+
+// Key of the refresh history in localStorage
+const historyStorageKey = 'cache_refresher_history';
+
+/** @type {import('./src/history.js').HistoryEntry[]} */
+const refreshHistory = parseHistory(localStorage.getItem(historyStorageKey));
+
+/** @type {{lastTypingAt: number, lastInteractionAt: number, hiddenSince: number|null}} */
+const activity = {
+    lastTypingAt: 0,                 // Timestamp of the last input in the send textarea
+    lastInteractionAt: Date.now(),   // Timestamp of the last key press, click or scroll anywhere on the page
+    hiddenSince: null,               // Timestamp the tab was hidden at, null while it is visible
+};
+
 /**
  * Logs a message to console with extension prefix for easier debugging
  * @param {string} message - Message to log
@@ -158,12 +219,277 @@ function showNotification(message, type = 'info') {
     }
 }
 
+/**
+ * Gets the main API currently selected in SillyTavern
+ * Read from a fresh context every time, since the user can switch APIs at any moment
+ * @returns {string} Main API identifier, e.g. 'openai' or 'textgenerationwebui'
+ */
+function getMainApi() {
+    return SillyTavern.getContext().mainApi;
+}
+
 /**
  * Check if the current API is using chat completion format
  * @returns {boolean} True if using a chat completion API
  */
 function isChatCompletion() {
-    return mainApi === 'openai';
+    return getMainApi() === 'openai';
+}
+
+/**
+ * Check if the current API is a text completion API the extension can refresh
+ * @returns {boolean} True if using a supported text completion API
+ */
+function isTextCompletion() {
+    return Object.hasOwn(textCompletionEndpoints, getMainApi());
+}
+
+/**
+ * Check if the current API is supported for cache refreshing
+ * @returns {boolean} True if using chat completion or a supported text completion API
+ */
+function isSupportedApi() {
+    return isChatCompletion() || isTextCompletion();
+}
+
+/**
+ * Gets what settings profiles can currently be bound to, most specific first
+ * @returns {{chat: import('./src/profiles.js').ProfileTarget|null, connection: import('./src/profiles.js').ProfileTarget|null}} Character or group, and connection profile
+ */
+function getProfileTargets() {
+    const context = SillyTavern.getContext();
+
+    let chat = null;
+    if (context.groupId) {
+        const group = context.groups.find(x => x.id === context.groupId);
+        chat = { key: `group:${context.groupId}`, name: `Group: ${group?.name ?? context.groupId}` };
+    } else if (context.characterId !== undefined && context.characters[context.characterId]) {
+        const character = context.characters[context.characterId];
+        chat = { key: `character:${character.avatar}`, name: `Character: ${character.name}` };
+    }
+
+    let connection = null;
+    const connectionManager = context.extensionSettings.connectionManager;
+    const connectionProfile = connectionManager?.profiles?.find(x => x.id === connectionManager.selectedProfile);
+    if (connectionProfile) {
+        connection = { key: `connection:${connectionProfile.id}`, name: `Connection: ${connectionProfile.name}` };
+    }
+
+    return { chat, connection };
+}
+
+/**
+ * Gets the binding keys of the current chat and connection profile, stored with a captured prompt
+ * @returns {string[]} Keys of the character or group and of the connection profile, most specific first
+ */
+function captureProfileKeys() {
+    const { chat, connection } = getProfileTargets();
+    return [chat, connection].filter(Boolean).map(target => target.key);
+}
+
+/**
+ * Resolves the settings profile of a session from the chat and connection profile its prompt was captured with
+ * @param {RefreshSession|null} session - Session to resolve the profile of
+ * @returns {(import('./src/profiles.js').SettingsProfile & {key: string})|null} The profile in effect, the active one for sessions without stored keys
+ */
+function resolveSessionProfile(session) {
+    if (!session?.profileKeys) return activeSettingsProfile;
+    return resolveSettingsProfile(settings.settingsProfiles, session.profileKeys.map(key => ({ key })));
+}
+
+/**
+ * Gets the settings in effect for a session
+ * Every session keeps the profile of its own chat, whichever chat is open now.
+ * @param {RefreshSession|null} session - Session to get the settings of
+ * @returns {Object} Values of PROFILE_SETTINGS, the effective ones for sessions without stored keys
+ */
+function getSessionSettings(session) {
+    if (!session?.profileKeys) return effective;
+    return applySettingsProfile(settings, resolveSessionProfile(session));
+}
+
+/**
+ * Resolves the settings profile for the current chat and connection profile and applies it
+ * Sessions resolve their own profile, so switching chats doesn't reschedule them.
+ */
+function updateEffectiveSettings() {
+    const { chat, connection } = getProfileTargets();
+    const previous = { ...effective };
+
+    activeSettingsProfile = resolveSettingsProfile(settings.settingsProfiles, [chat, connection]);
+    Object.assign(effective, applySettingsProfile(settings, activeSettingsProfile));
+
+    if (Object.keys(effective).some(key => effective[key] !== previous[key])) {
+        debugLog(`Settings profile in effect: ${activeSettingsProfile?.name ?? 'global settings'}`, effective);
+    }
+}
+
+/**
+ * Stops the cycles of the sessions a settings profile governs and forgets their prompts
+ * @param {string} key - Binding key of the profile
+ */
+function clearProfileSessions(key) {
+    for (const session of [...sessions.values()]) {
+        if (resolveSessionProfile(session)?.key === key) {
+            removeSession(session.chatId);
+        }
+    }
+}
+
+/**
+ * Changes a setting that settings profiles can override
+ * @param {string} key - One of PROFILE_SETTINGS
+ * @param {any} value - New value
+ */
+async function setEffectiveSetting(key, value) {
+    await setEffectiveSettings({ [key]: value });
+}
+
+/**
+ * Changes settings that settings profiles can override, and the TTL overrides of sources
+ * The active profile is edited when there is one, the global settings otherwise. TTL overrides
+ * describe the provider rather than the chat, so they always go to the global settings and reset
+ * what was learned about the source. Running cycles are rescheduled once, since the change can
+ * apply to chats other than the open one.
+ * @param {Object} values - New values of PROFILE_SETTINGS, keyed by setting
+ * @param {Object<string, Partial<import('./src/ttl-profiles.js').TtlProfile>>} [ttlOverrides] - Overrides to merge in, keyed by TTL profile
+ */
+async function setEffectiveSettings(values, ttlOverrides = {}) {
+    const profile = activeSettingsProfile ? settings.settingsProfiles[activeSettingsProfile.key] : null;
+    Object.assign(profile ? profile.overrides : settings, values);
+
+    for (const [key, override] of Object.entries(ttlOverrides)) {
+        settings.ttlOverrides[key] = { ...settings.ttlOverrides[key], ...override };
+        delete settings.adaptiveState[key];
+    }
+
+    updateEffectiveSettings();
+    rescheduleActiveSessions();
+    await saveSettings();
+}
+
+/**
+ * Gets the chat completion source that is currently selected
+ * @returns {string|null} Source identifier, or null when not using chat completion
+ */
+function getActiveSource() {
+    return isChatCompletion() ? chatCompletionSettings.chat_completion_source : null;
+}
+
+/**
+ * Resolves the cache TTL profile of the source a session refreshes, or of the currently selected source
+ * @param {RefreshSession|null} [session] - Session whose captured connection decides, if any
+ * @returns {import('./src/ttl-profiles.js').ResolvedTtlProfile} The effective profile
+ */
+function getActiveProfile(session = null) {
+    const target = session?.target;
+    const source = target ? (target.api === 'openai' ? target.source : null) : getActiveSource();
+    return resolveTtlProfile(source, settings.ttlOverrides, getSessionSettings(session).refreshInterval);
+}
+
+/**
+ * Gets the bounds the adaptive tuning has to keep the interval in
+ * @returns {import('./src/adaptive.js').AdaptiveBounds} Allowed interval range
+ */
+function getAdaptiveBounds() {
+    const min = settings.adaptiveMinInterval || defaultSettings.adaptiveMinInterval;
+    const max = settings.adaptiveMaxInterval || defaultSettings.adaptiveMaxInterval;
+    return { min, max: Math.max(min, max) };
+}
+
+/**
+ * Gets the interval between refreshes for the source of a session, or the currently selected source
+ * Uses the learned interval when adaptive tuning is enabled, the TTL profile otherwise
+ * @param {RefreshSession|null} [session] - Session to schedule, if any
+ * @returns {number} Refresh interval in milliseconds
+ */
+function getRefreshInterval(session = null) {
+    const profile = getActiveProfile(session);
+    if (!settings.adaptiveInterval) {
+        return profile.interval;
+    }
+
+    return getAdaptiveInterval(settings.adaptiveState[profile.key], profile.interval, getAdaptiveBounds());
+}
+
+/**
+ * Updates the adaptive state of the refreshed source with the outcome of a refresh
+ * @param {import('./src/ledger.js').Usage|null} usage - Usage reported by the refresh
+ * @param {RefreshSession} session - Session that was refreshed
+ * @returns {boolean|null} Whether the refresh was a cache hit, null if the usage doesn't tell
+ */
+function updateAdaptiveState(usage, session) {
+    const hit = isCacheHit(usage);
+    if (hit === null) return null;
+
+    const profile = getActiveProfile(session);
+    const state = settings.adaptiveState[profile.key] ??= createAdaptiveState();
+    applyRefreshOutcome(state, hit, profile.interval, getAdaptiveBounds());
+    saveSettings();
+
+    debugLog(`Refresh was a cache ${hit ? 'hit' : 'miss'}`, state);
+    return hit;
+}
+
+/**
+ * Describes the adaptive state of a session's source for the status displays
+ * @param {RefreshSession} session - Session shown in the status displays
+ * @returns {string} Description, empty when adaptive tuning is disabled
+ */
+function describeAdaptiveState(session) {
+    if (!settings.adaptiveInterval) return '';
+
+    const state = settings.adaptiveState[getActiveProfile(session).key];
+    const phase = state?.learned ? 'learned' : 'learning';
+    return `adaptive ${formatDuration(getRefreshInterval(session))}, ${phase}`;
+}
+
+/**
+ * Formats a duration as M:SS
+ * @param {number} duration - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(duration) {
+    const minutes = Math.floor(duration / 60000);
+    const seconds = Math.floor((duration % 60000) / 1000);
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Gets the ID of the currently open chat
+ * @returns {string|null} Chat ID, or null if no chat is open
+ */
+function getCurrentChatId() {
+    return SillyTavern.getContext().getCurrentChatId() ?? null;
+}
+
+/**
+ * Gets a display name for the currently open chat
+ * @returns {string} Group name or character name
+ */
+function getCurrentChatName() {
+    const context = SillyTavern.getContext();
+    if (context.groupId) {
+        return context.groups.find(group => group.id === context.groupId)?.name ?? 'Group chat';
+    }
+    return context.name2 ?? '';
+}
+
+/**
+ * Gets the refresh session of the currently open chat
+ * @returns {RefreshSession|null} The session, or null if the chat has none
+ */
+function getCurrentSession() {
+    return getSession(getCurrentChatId());
+}
+
+/**
+ * Formats a remaining refresh budget
+ * @param {number} refreshesLeft - Number of refreshes left, Infinity without a limit
+ * @returns {string} Number of refreshes left, or ∞ without a limit
+ */
+function formatRefreshesLeft(refreshesLeft) {
+    return Number.isFinite(refreshesLeft) ? String(Math.max(0, refreshesLeft)) : '∞';
 }
 
 /**
@@ -173,7 +499,18 @@ function isChatCompletion() {
 async function saveSettings() {
     try {
         extension_settings[extensionName] = settings;
-        debugLog('Settings saved', settings);
+        saveSettingsDebounced();
+
+        // Settings are saved after every refresh, so only what changed is worth logging
+        const changed = Object.keys(settings).filter((key) => {
+            const value = JSON.stringify(settings[key]);
+            if (savedSettings[key] === value) return false;
+            savedSettings[key] = value;
+            return true;
+        });
+        if (changed.length) {
+            debugLog(`Settings saved: ${changed.join(', ')}`);
+        }
     } catch (error) {
         console.error('Cache Refresher: Error saving settings:', error);
         showNotification('Error saving settings', 'error');
@@ -190,6 +527,124 @@ function updateUI() {
     updateSettingsPanel();
 }
 
+/**
+ * Creates the floating status indicator widget
+ * It shows a ring counting down the cache lifetime and buttons to control the current chat's cycle.
+ * @returns {HTMLElement} The indicator element
+ */
+function createStatusIndicator() {
+    const indicator = document.createElement('div');
+    indicator.id = 'cache_refresher_status';
+    indicator.innerHTML = `
+        <svg class="cache-refresher-ring" viewBox="0 0 36 36" aria-hidden="true">
+            <circle class="cache-refresher-ring-track" cx="18" cy="18" r="16"></circle>
+            <circle class="cache-refresher-ring-progress" cx="18" cy="18" r="16"></circle>
+        </svg>
+        <div class="cache-refresher-status-text">
+            <div class="cache-refresher-status-time"></div>
+            <div class="cache-refresher-status-details"></div>
+        </div>
+        <div class="cache-refresher-status-buttons">
+            <div class="cache-refresher-status-button fa-solid fa-pause" data-action="toggle" title="Pause refreshes"></div>
+            <div class="cache-refresher-status-button fa-solid fa-rotate" data-action="refresh" title="Refresh now"></div>
+            <div class="cache-refresher-status-button" data-action="extend"></div>
+        </div>`;
+
+    const progress = indicator.querySelector('.cache-refresher-ring-progress');
+    progress.setAttribute('stroke-dasharray', String(ringCircumference));
+
+    indicator.querySelector('.cache-refresher-status-buttons').addEventListener('click', (event) => {
+        const session = getCurrentSession();
+        const action = event.target instanceof HTMLElement ? event.target.dataset.action : null;
+        if (!session || !action) return;
+
+        if (action === 'toggle') {
+            session.stopReason === USER_PAUSE_REASON ? resumeRefreshCycle(session) : pauseRefreshCycle(session);
+        } else if (action === 'refresh') {
+            refreshCache(session, true);
+        } else if (action === 'extend') {
+            extendRefreshCycle(session, settings.extendBy);
+        }
+    });
+
+    makeIndicatorDraggable(indicator);
+    document.body.appendChild(indicator);
+    return indicator;
+}
+
+/**
+ * Lets the user drag the indicator out of the way, remembering where it was dropped
+ * @param {HTMLElement} indicator - The indicator element
+ */
+function makeIndicatorDraggable(indicator) {
+    let offset = null;
+
+    const place = (left, top) => {
+        const maxLeft = Math.max(0, window.innerWidth - indicator.offsetWidth);
+        const maxTop = Math.max(0, window.innerHeight - indicator.offsetHeight);
+        indicator.style.left = `${Math.min(maxLeft, Math.max(0, left))}px`;
+        indicator.style.top = `${Math.min(maxTop, Math.max(0, top))}px`;
+        indicator.classList.add('cache-refresher-status-moved');
+    };
+
+    indicator.addEventListener('pointerdown', (event) => {
+        // Buttons keep working as buttons
+        if (event.target instanceof HTMLElement && event.target.dataset.action) return;
+
+        const rect = indicator.getBoundingClientRect();
+        offset = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        indicator.setPointerCapture(event.pointerId);
+        indicator.classList.add('cache-refresher-status-dragging');
+    });
+
+    indicator.addEventListener('pointermove', (event) => {
+        if (!offset) return;
+        place(event.clientX - offset.x, event.clientY - offset.y);
+    });
+
+    indicator.addEventListener('pointerup', async () => {
+        if (!offset) return;
+        offset = null;
+        indicator.classList.remove('cache-refresher-status-dragging');
+
+        if (indicator.classList.contains('cache-refresher-status-moved')) {
+            settings.indicatorPosition = { left: parseFloat(indicator.style.left), top: parseFloat(indicator.style.top) };
+            await saveSettings();
+        }
+    });
+
+    // Keep the indicator on screen when the window shrinks, e.g. when a phone rotates
+    window.addEventListener('resize', () => {
+        if (settings.indicatorPosition) {
+            place(settings.indicatorPosition.left, settings.indicatorPosition.top);
+        }
+    });
+
+    if (settings.indicatorPosition) {
+        requestAnimationFrame(() => place(settings.indicatorPosition.left, settings.indicatorPosition.top));
+    }
+}
+
+/**
+ * Describes the last refresh of a chat for the indicator tooltip
+ * @param {string} chatId - Chat to describe
+ * @returns {string} Description, or a note that the chat wasn't refreshed yet
+ */
+function describeLastRefresh(chatId) {
+    const entry = refreshHistory.find(x => x.chatId === chatId);
+    if (!entry) return 'No refresh sent yet';
+
+    const outcomes = { hit: 'cache hit', miss: 'cache miss', refreshed: 'refreshed, no usage reported', failed: `failed: ${entry.error}` };
+    const lines = [`Last refresh ${formatDuration(Date.now() - entry.timestamp)} ago: ${outcomes[entry.outcome] ?? entry.outcome}`];
+    if (entry.promptTokens !== null) {
+        lines.push(`${entry.cachedTokens} of ${entry.promptTokens} prompt tokens cached, ${entry.cacheWriteTokens} written`);
+    }
+    if (entry.cost !== null) {
+        lines.push(`Cost: ${formatCost(entry.cost)}`);
+    }
+    return lines.join('\n');
+}
+
 /**
  * Creates or updates the floating status indicator
  * This shows the number of remaining refreshes and countdown timer
@@ -197,37 +652,69 @@ function updateUI() {
 function updateStatusIndicator() {
     // Create the status indicator if it doesn't exist
     if (!statusIndicator) {
-        statusIndicator = document.createElement('div');
-        statusIndicator.id = 'cache_refresher_status';
-        statusIndicator.style.position = 'fixed';
-        statusIndicator.style.bottom = '10px';
-        statusIndicator.style.right = '10px';
-        statusIndicator.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
-        statusIndicator.style.color = 'white';
-        statusIndicator.style.padding = '5px 10px';
-        statusIndicator.style.borderRadius = '5px';
-        statusIndicator.style.fontSize = '12px';
-        statusIndicator.style.zIndex = '1000';
-        statusIndicator.style.display = 'none';
-        document.body.appendChild(statusIndicator);
+        statusIndicator = createStatusIndicator();
     }
 
-    // Only show the indicator if the extension is active, has refreshes pending, and the indicator is enabled
-    if (settings.enabled && refreshesLeft > 0 && settings.showStatusIndicator) {
-        let timeString = 'calculating...';
-
-        if (nextRefreshTime) {
+    // Only show the indicator if the extension is active, the current chat has refreshes pending or paused, and the indicator is enabled
+    // With several tabs open, only the tab that sends the refreshes shows it
+    const session = getCurrentSession();
+    const paused = session?.stopReason === USER_PAUSE_REASON;
+    // After the last refresh, the indicator counts down to the moment the cache expires
+    const expiring = Boolean(session) && !isSessionActive(session) && expiryCountdowns.has(session.chatId);
+    if (getSessionSettings(session).enabled && session?.prompt && (isSessionActive(session) || paused || expiring) && settings.showStatusIndicator && isRefresher()) {
+        const now = Date.now();
+        let timeString = paused ? 'Paused' : 'Refreshing...';
+
+        if (expiring) {
+            timeString = `Expires in ${formatDuration(Math.max(0, getCacheExpiry(session) - now))}`;
+        } else if (!paused && session.nextRefreshTime && !session.refreshInProgress) {
             // Calculate time until next refresh
-            const timeRemaining = Math.max(0, nextRefreshTime - Date.now());
+            const timeRemaining = Math.max(0, session.nextRefreshTime - now);
+            timeString = `Next in ${formatDuration(timeRemaining)}`;
+        }
+
+        // The ring shows how much of the cache lifetime is left
+        const ttl = getActiveProfile(session).ttl;
+        const lifeLeft = Math.min(1, Math.max(0, (session.lastActivity + ttl - now) / ttl));
+        statusIndicator.querySelector('.cache-refresher-ring-progress').setAttribute('stroke-dashoffset', String(ringCircumference * (1 - lifeLeft)));
+
+        const details = [`${formatRefreshesLeft(session.refreshesLeft)} left`];
+
+        // Show that the server sends the refreshes, so they go on when this tab sleeps
+        if (session.heldByServer) {
+            details.push('from the server');
+        }
+
+        // Show whether the adaptive tuning has settled on the provider's real TTL
+        const adaptiveState = describeAdaptiveState(session);
+        if (adaptiveState) {
+            details.push(adaptiveState);
+        }
 
-            // Format time as MM:SS
-            const minutes = Math.floor(timeRemaining / 60000);
-            const seconds = Math.floor((timeRemaining % 60000) / 1000);
-            timeString = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+        // Mention other chats that are also being kept warm in the background
+        const otherChats = countActiveSessions() - (isSessionActive(session) ? 1 : 0);
+        if (otherChats > 0) {
+            details.push(`+${otherChats} other chat${otherChats > 1 ? 's' : ''}`);
         }
 
-        statusIndicator.textContent = `Cache refreshes: ${refreshesLeft} remaining (${timeString})`;
-        statusIndicator.style.display = 'block';
+        statusIndicator.querySelector('.cache-refresher-status-time').textContent = timeString;
+        statusIndicator.querySelector('.cache-refresher-status-details').textContent = details.join(' · ');
+        statusIndicator.title = describeLastRefresh(session.chatId);
+
+        const toggle = statusIndicator.querySelector('[data-action="toggle"]');
+        toggle.classList.toggle('fa-pause', !paused);
+        toggle.classList.toggle('fa-play', paused);
+        toggle.title = paused ? 'Resume refreshes' : 'Pause refreshes';
+        toggle.style.display = expiring ? 'none' : '';
+
+        const extend = statusIndicator.querySelector('[data-action="extend"]');
+        extend.textContent = `+${settings.extendBy}`;
+        extend.title = `Add ${settings.extendBy} refreshes`;
+        extend.style.display = Number.isFinite(session.refreshesLeft) ? '' : 'none';
+
+        statusIndicator.classList.toggle('cache-refresher-status-paused', paused);
+        statusIndicator.classList.toggle('cache-refresher-status-expiring', expiring);
+        statusIndicator.style.display = 'flex';
 
         // Update the timer display every second for a smooth countdown
         if (!statusUpdateInterval) {
@@ -254,24 +741,94 @@ function updateStatusIndicator() {
 async function updateSettingsPanel() {
     try {
         // Update checkbox states to match current settings
-        $('#cache_refresher_enabled').prop('checked', settings.enabled);
+        $('#cache_refresher_enabled').prop('checked', effective.enabled);
         $('#cache_refresher_show_notifications').prop('checked', settings.showNotifications);
         $('#cache_refresher_show_status_indicator').prop('checked', settings.showStatusIndicator);
 
         // Update number inputs with current values
         // Convert milliseconds to minutes for the interval display
-        $('#cache_refresher_max_refreshes').val(settings.maxRefreshes);
-        $('#cache_refresher_interval').val(settings.refreshInterval / (60 * 1000));
-        $('#cache_refresher_min_tokens').val(settings.maxTokens);
+        $('#cache_refresher_max_refreshes').val(effective.maxRefreshes);
+        $('#cache_refresher_extend_by').val(settings.extendBy);
+        $('#cache_refresher_expiry_warnings').not(':focus').val(settings.expiryWarnings);
+        $('#cache_refresher_expiry_notifications').prop('checked', settings.expiryBrowserNotifications);
+        $('#cache_refresher_expiry_sound').prop('checked', settings.expirySound);
+        $('#cache_refresher_interval').val(effective.refreshInterval / (60 * 1000));
+        $('#cache_refresher_max_tokens').val(effective.maxTokens);
+
+        // Show which settings profile the settings above belong to
+        const { chat, connection } = getProfileTargets();
+        $('#cache_refresher_settings_profile').text(activeSettingsProfile?.name ?? 'Global settings');
+        $('#cache_refresher_settings_profile_chat').toggle(Boolean(chat) && !settings.settingsProfiles[chat?.key]);
+        $('#cache_refresher_settings_profile_connection').toggle(Boolean(connection) && !settings.settingsProfiles[connection?.key]);
+        $('#cache_refresher_settings_profile_remove').toggle(Boolean(activeSettingsProfile));
+        $('#cache_refresher_max_warm_chats').val(settings.maxWarmChats);
+        $('#cache_refresher_cache_depth').val(settings.cacheDepth);
+        $('#cache_refresher_warm_up_open').prop('checked', settings.warmUpOnOpen);
+        $('#cache_refresher_warm_up_typing').prop('checked', settings.warmUpOnTyping);
+        $('#cache_refresher_warm_up_min_tokens').val(settings.warmUpMinTokens);
+        $('#cache_refresher_history_limit').val(settings.historyLimit);
+        $('#cache_refresher_on_prefix_change').val(settings.onPrefixChange);
+        $('#cache_refresher_trim_prompt').prop('checked', settings.trimRefreshPrompt);
+        $('#cache_refresher_manage_breakpoints').prop('checked', settings.manageBreakpoints);
+        $('#cache_refresher_max_breakpoints').val(settings.maxBreakpoints);
+        $('#cache_refresher_cache_segments').text(describeCacheSegments(getCurrentSession()));
+        $('#cache_refresher_refresh_tokens').text(describeRefreshTokens(getCurrentSession()));
+        $('#cache_refresher_server_keep_alive').prop('checked', settings.serverKeepAlive);
+        $('#cache_refresher_server_status').text(describeServerKeepAlive());
+        $('#cache_refresher_refresh_target').text(getCurrentSession()?.prompt ? `Refreshes go to ${describeRefreshTarget(getCurrentSession().target)}` : '');
+
+        // Refresh policy settings (durations shown in minutes)
+        $('#cache_refresher_keep_warm_typing').prop('checked', settings.keepWarmWhileTyping);
+        $('#cache_refresher_hidden_timeout').val(settings.hiddenTimeout / (60 * 1000));
+        $('#cache_refresher_idle_timeout').val(settings.idleTimeout / (60 * 1000));
+        $('#cache_refresher_max_keep_warm').val(settings.maxKeepWarm / (60 * 1000));
+        $('#cache_refresher_refresh_windows').not(':focus').val(settings.refreshWindows);
+        $('#cache_refresher_daily_token_limit').val(settings.dailyTokenLimit);
+        $('#cache_refresher_daily_cost_limit').val(settings.dailyCostLimit);
+        $('#cache_refresher_monthly_token_limit').val(settings.monthlyTokenLimit);
+        $('#cache_refresher_monthly_cost_limit').val(settings.monthlyCostLimit);
+
+        // Show the spend counted against the limits, reset at midnight
+        const spend = rollSpendCounter(settings.spend, Date.now());
+        $('#cache_refresher_spend').text(`Today: ${spend.dayTokens} tokens, ${formatCost(spend.dayCost)} · This month: ${spend.monthTokens} tokens, ${formatCost(spend.monthCost)}`);
+        $('#cache_refresher_spend_warning').text(describeSpendLimitGap());
+        $('#cache_refresher_price_overrides').not(':focus').val(Object.keys(settings.priceOverrides).length ? JSON.stringify(settings.priceOverrides, null, 2) : '');
+
+        // Show the TTL profile of the active source, with user overrides applied
+        const profile = getActiveProfile();
+        $('#cache_refresher_profile_name').text(`${profile.label}${profile.overridden ? ' (customized)' : ''}`);
+        $('#cache_refresher_profile_ttl').val(profile.ttl / 1000);
+        $('#cache_refresher_profile_margin').val(profile.margin / 1000);
+        $('#cache_refresher_profile_resets').prop('checked', profile.resetsTtl);
+        $('#cache_refresher_profile_settings').toggle(profile.key !== FALLBACK_PROFILE_KEY);
+
+        // Adaptive tuning settings and what it has learned so far (bounds shown in minutes)
+        const adaptiveState = settings.adaptiveState[profile.key];
+        $('#cache_refresher_adaptive').prop('checked', settings.adaptiveInterval);
+        $('#cache_refresher_adaptive_min').val(getAdaptiveBounds().min / (60 * 1000));
+        $('#cache_refresher_adaptive_max').val(getAdaptiveBounds().max / (60 * 1000));
+        $('#cache_refresher_adaptive_text').text(adaptiveState
+            ? `${adaptiveState.hits} hits, ${adaptiveState.misses} misses, interval ${formatDuration(getAdaptiveInterval(adaptiveState, profile.interval, getAdaptiveBounds()))}`
+                + (adaptiveState.ceiling ? `, TTL shorter than ${formatDuration(adaptiveState.ceiling + profile.margin)}` : '')
+                + (adaptiveState.learned ? ' (learned)' : '')
+            : 'No refresh outcomes yet');
 
         // Update the status text to show current state
         const statusText = $('#cache_refresher_status_text');
         if (statusText.length) {
-            if (settings.enabled) {
-                if (refreshInProgress) {
+            const session = getCurrentSession();
+            const warmChats = countActiveSessions();
+            if (effective.enabled) {
+                if (!profile.resetsTtl) {
+                    statusText.text(`Idle - refreshing doesn't extend the cache for ${profile.label}`);
+                } else if (session?.refreshInProgress) {
                     statusText.text('Refreshing cache...');
-                } else if (refreshesLeft > 0) {
-                    statusText.text(`Active - ${refreshesLeft} refreshes remaining`);
+                } else if (isSessionActive(session)) {
+                    statusText.text(`Active - ${formatRefreshesLeft(session.refreshesLeft)} refreshes remaining (${warmChats} warm chat${warmChats === 1 ? '' : 's'})`);
+                } else if (session?.stopReason) {
+                    statusText.text(`Stopped - ${session.stopReason}`);
+                } else if (warmChats > 0) {
+                    statusText.text(`Active - ${warmChats} other chat${warmChats === 1 ? '' : 's'} kept warm`);
                 } else {
                     statusText.text('Active - waiting for next generation');
                 }
@@ -280,12 +837,105 @@ async function updateSettingsPanel() {
             }
         }
 
-        debugLog('Settings panel updated');
+        updateLedgerPanel();
     } catch (error) {
         console.error('Cache Refresher: Error updating settings panel:', error);
     }
 }
 
+/**
+ * Formats an amount of US dollars for the ledger display
+ * @param {number} amount - Amount in USD
+ * @returns {string} Formatted amount
+ */
+function formatCost(amount) {
+    return `$${amount.toFixed(amount < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Renders the spend on refreshes next to the estimated cold re-prompt cost, per day and per chat
+ */
+function updateLedgerPanel() {
+    const container = $('#cache_refresher_ledger');
+    if (!container.length) return;
+
+    // The panel is updated on every state change, but the ledger only changes with a refresh, a reset or a new day
+    const day = getDayKey(Date.now());
+    if (renderedLedger?.day === day && renderedLedger.revision === ledgerRevision) return;
+    renderedLedger = { day, revision: ledgerRevision };
+
+    const { days, chats } = settings.ledger;
+    const today = days[day] ?? createTotals();
+
+    /**
+     * Builds a table row for a totals bucket
+     * @param {string} label - Row label
+     * @param {import('./src/ledger.js').LedgerTotals} totals - Totals to show
+     * @returns {JQuery} Table row
+     */
+    const buildRow = (label, totals) => $('<tr>').append(
+        $('<td>').text(label),
+        $('<td>').text(totals.refreshes),
+        $('<td>').text(totals.cachedTokens.toLocaleString()),
+        $('<td>').text(formatCost(totals.cost)),
+        $('<td>').text(formatCost(totals.coldCost)),
+    );
+
+    const buildTable = (title, rows) => $('<table class="cache-refresher-ledger-table">').append(
+        $('<thead>').append($('<tr>').append(
+            $('<th>').text(title),
+            $('<th>').text('Refreshes'),
+            $('<th>').text('Cached'),
+            $('<th>').text('Spent'),
+            $('<th>').text('Cold'),
+        )),
+        $('<tbody>').append(rows),
+    );
+
+    const recentDays = Object.keys(days).sort().reverse().slice(0, 7);
+    const recentChats = Object.keys(chats).sort((a, b) => chats[b].lastRefresh - chats[a].lastRefresh).slice(0, 5);
+
+    container.empty().append(
+        $('<div>').text(`Today: ${formatCost(today.cost)} spent on ${today.refreshes} refreshes, ${formatCost(today.coldCost)} if re-prompted cold`),
+        recentDays.length ? buildTable('Day', recentDays.map(day => buildRow(day, days[day]))) : '',
+        recentChats.length ? buildTable('Chat', recentChats.map(chatId => buildRow(chatId, chats[chatId]))) : '',
+    );
+}
+
+/**
+ * Renders the refresh history list, newest first
+ */
+function updateHistoryPanel() {
+    const container = $('#cache_refresher_history');
+    if (!container.length) return;
+
+    if (!refreshHistory.length) {
+        container.empty().append($('<div class="cache-refresher-history-empty">').text('No refreshes yet'));
+        return;
+    }
+
+    const outcomeLabels = { hit: 'Cache hit', miss: 'Cache miss', refreshed: 'Refreshed', failed: 'Failed', aborted: 'Aborted' };
+    const rows = refreshHistory.map((entry) => {
+        const details = [
+            `${(entry.latency / 1000).toFixed(1)}s`,
+            entry.promptTokens !== null ? `${entry.cachedTokens}/${entry.promptTokens} cached` : '',
+            entry.cost !== null ? formatCost(entry.cost) : '',
+        ].filter(Boolean).join(' · ');
+
+        return $('<div class="cache-refresher-history-entry">').addClass(`outcome-${entry.outcome}`).append(
+            $('<div class="cache-refresher-history-header">').append(
+                $('<span>').text(new Date(entry.timestamp).toLocaleString()),
+                $('<span class="cache-refresher-history-outcome">').text(outcomeLabels[entry.outcome] ?? entry.outcome),
+            ),
+            $('<div>').text(`${entry.chatName || entry.chatId}${entry.model ? ` · ${entry.model}` : ''}`).attr('title', entry.chatId),
+            $('<div>').text(details),
+            entry.error ? $('<div class="cache-refresher-history-error">').text(entry.error) : '',
+        );
+    });
+
+    container.empty().append(rows);
+}
+
 /**
  * Binds event handlers to the settings panel elements
  * This sets up all the interactive controls in the settings panel
@@ -296,19 +946,21 @@ async function bindSettingsHandlers() {
 
         // Enable/disable toggle - main switch for the extension
         $('#cache_refresher_enabled').off('change').on('change', async function() {
-            settings.enabled = $(this).prop('checked');
-            await saveSettings();
+            const profile = activeSettingsProfile;
+            await setEffectiveSetting('enabled', $(this).prop('checked'));
 
-            if (settings.enabled) {
+            if (effective.enabled) {
                 showNotification('Cache refreshing enabled');
                 // Don't start refresh cycle here, wait for a message
                 // This prevents unnecessary refreshes when no conversation is active
+            } else if (profile) {
+                showNotification(`Cache refreshing disabled for ${profile.name}`);
+                // Only the chats of this profile stop, the others keep their own settings
+                clearProfileSessions(profile.key);
             } else {
                 showNotification('Cache refreshing disabled');
-                stopRefreshCycle(); // Stop any active refresh cycle
-                // Clear any stored generation data to prevent future refreshes
-                lastGenerationData.prompt = null;
-                refreshesLeft = 0;
+                // Stop every active refresh cycle and clear stored generation data to prevent future refreshes
+                clearAllSessions();
             }
 
             updateUI();
@@ -316,246 +968,1828 @@ async function bindSettingsHandlers() {
         });
 
         // Max refreshes input - controls how many refreshes to perform before stopping
-        $('#cache_refresher_max_refreshes').off('change input').on('change input', async function() {
-            settings.maxRefreshes = parseInt($(this).val()) || defaultSettings.maxRefreshes;
+        $('#cache_refresher_max_refreshes').off('change').on('change', async function() {
+            const value = parseInt($(this).val());
+            await setEffectiveSetting('maxRefreshes', Number.isNaN(value) ? defaultSettings.maxRefreshes : Math.max(0, value));
+        });
+
+        // Extend input - how many refreshes the indicator's "+N" button adds
+        $('#cache_refresher_extend_by').off('change').on('change', async function() {
+            const value = parseInt($(this).val());
+            settings.extendBy = Number.isNaN(value) ? defaultSettings.extendBy : Math.max(1, value);
             await saveSettings();
+            updateStatusIndicator();
+        });
+
+        // Expiry warning thresholds - seconds before the cache of a cycle that ran out of refreshes expires
+        $('#cache_refresher_expiry_warnings').off('change').on('change', async function() {
+            const value = String($(this).val()).trim();
+            try {
+                parseExpiryThresholds(value);
+                settings.expiryWarnings = value;
+                await saveSettings();
+            } catch (error) {
+                showNotification(`Invalid expiry warnings: ${error.message}`, 'error');
+            }
+        });
 
-            // If a refresh cycle is already running, stop and reschedule with new settings
-            if (settings.enabled && refreshTimer) {
-                stopRefreshCycle();
-                scheduleNextRefresh();
+        // Browser notifications toggle - asks for permission when turned on
+        $('#cache_refresher_expiry_notifications').off('change').on('change', async function() {
+            settings.expiryBrowserNotifications = $(this).prop('checked');
+            if (settings.expiryBrowserNotifications && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+                await Notification.requestPermission();
             }
+            if (settings.expiryBrowserNotifications && (typeof Notification === 'undefined' || Notification.permission === 'denied')) {
+                showNotification('This browser doesn\'t allow notifications from SillyTavern, only toasts will be shown', 'warning');
+            }
+            await saveSettings();
+        });
+
+        // Warning sound toggle
+        $('#cache_refresher_expiry_sound').off('change').on('change', async function() {
+            settings.expirySound = $(this).prop('checked');
+            await saveSettings();
         });
 
         // Refresh interval input - controls time between refreshes (in minutes)
-        $('#cache_refresher_interval').off('change input').on('change input', async function() {
+        $('#cache_refresher_interval').off('change').on('change', async function() {
             // Convert minutes to milliseconds for internal use
-            settings.refreshInterval = (parseFloat($(this).val()) || defaultSettings.refreshInterval / (60 * 1000)) * 60 * 1000;
-            await saveSettings();
+            await setEffectiveSetting('refreshInterval', (parseFloat($(this).val()) || defaultSettings.refreshInterval / (60 * 1000)) * 60 * 1000);
+        });
 
-            // If a refresh cycle is already running, stop and reschedule with new settings
-            if (settings.enabled && refreshTimer) {
-                stopRefreshCycle();
-                scheduleNextRefresh();
-            }
+        // Max tokens input - controls how many tokens to request in each refresh
+        $('#cache_refresher_max_tokens').off('change').on('change', async function() {
+            await setEffectiveSetting('maxTokens', parseInt($(this).val()) || defaultSettings.maxTokens);
         });
 
-        // Min tokens input - controls how many tokens to request in each refresh
-        $('#cache_refresher_min_tokens').off('change input').on('change input', async function() {
-            settings.maxTokens = parseInt($(this).val()) || defaultSettings.maxTokens;
+        // Settings profile buttons - bind the settings above to the character/group or the connection profile
+        const createProfile = async (target) => {
+            if (!target) return;
+            settings.settingsProfiles[target.key] = createSettingsProfile(target.name, effective);
+            updateEffectiveSettings();
+            rescheduleActiveSessions();
             await saveSettings();
+            updateSettingsPanel();
+            showNotification(`Settings profile created for ${target.name}`, 'success');
+        };
+        $('#cache_refresher_settings_profile_chat').off('click').on('click', () => createProfile(getProfileTargets().chat));
+        $('#cache_refresher_settings_profile_connection').off('click').on('click', () => createProfile(getProfileTargets().connection));
+        $('#cache_refresher_settings_profile_remove').off('click').on('click', async function() {
+            if (!activeSettingsProfile) return;
+            const name = activeSettingsProfile.name;
+            delete settings.settingsProfiles[activeSettingsProfile.key];
+            updateEffectiveSettings();
+            rescheduleActiveSessions();
+            await saveSettings();
+            updateSettingsPanel();
+            showNotification(`Settings profile of ${name} removed`, 'info');
         });
 
-        // Show notifications toggle - controls whether to show toast notifications
-        $('#cache_refresher_show_notifications').off('change').on('change', async function() {
-            settings.showNotifications = $(this).prop('checked');
+        // Keep warm while typing toggle - typing keeps refreshing regardless of the budget
+        $('#cache_refresher_keep_warm_typing').off('change').on('change', async function() {
+            settings.keepWarmWhileTyping = $(this).prop('checked');
             await saveSettings();
         });
-        
-        // Show status indicator toggle - controls whether to show the floating status indicator
-        $('#cache_refresher_show_status_indicator').off('change').on('change', async function() {
-            settings.showStatusIndicator = $(this).prop('checked');
+
+        // Policy duration inputs - entered in minutes, 0 disables the rule
+        const policyInputs = {
+            '#cache_refresher_hidden_timeout': 'hiddenTimeout',
+            '#cache_refresher_idle_timeout': 'idleTimeout',
+            '#cache_refresher_max_keep_warm': 'maxKeepWarm',
+        };
+        for (const [selector, key] of Object.entries(policyInputs)) {
+            $(selector).off('change').on('change', async function() {
+                const minutes = parseFloat($(this).val());
+                settings[key] = Number.isNaN(minutes) ? defaultSettings[key] : Math.max(0, minutes) * 60 * 1000;
+                await saveSettings();
+            });
+        }
+
+        // Cache depth input - where the cache breakpoint sits, used to fingerprint the cached prefix
+        $('#cache_refresher_cache_depth').off('change').on('change', async function() {
+            const value = parseInt($(this).val());
+            settings.cacheDepth = Number.isNaN(value) ? defaultSettings.cacheDepth : Math.max(0, value);
             await saveSettings();
-            updateUI(); // Update UI immediately to show/hide the indicator
+
+            // The breakpoint moved, so did the prefix refreshes send
+            for (const session of sessions.values()) {
+                if (session.prompt) {
+                    setSessionPrompt(session, session.prompt);
+                }
+            }
+        });
+
+        // Server keep-alive toggle - hand running cycles to the server plugin or take them back
+        $('#cache_refresher_server_keep_alive').off('change').on('change', async function() {
+            settings.serverKeepAlive = $(this).prop('checked');
+            await saveSettings();
+            for (const session of sessions.values()) {
+                handOffToServer(session);
+            }
+            updateSettingsPanel();
+        });
+
+        // Trim toggle - send only the cacheable prefix in refreshes
+        $('#cache_refresher_trim_prompt').off('change').on('change', async function() {
+            settings.trimRefreshPrompt = $(this).prop('checked');
+            await saveSettings();
+            updateSettingsPanel();
+        });
+
+        // Breakpoint toggle - place the cache breakpoints of chat completion prompts from the next generation on
+        $('#cache_refresher_manage_breakpoints').off('change').on('change', async function() {
+            settings.manageBreakpoints = $(this).prop('checked');
+            await saveSettings();
+            updateSettingsPanel();
+        });
+
+        // Breakpoint limit input - leaves room for breakpoints SillyTavern or other extensions add
+        $('#cache_refresher_max_breakpoints').off('change').on('change', async function() {
+            const value = parseInt($(this).val());
+            settings.maxBreakpoints = Number.isNaN(value) ? defaultSettings.maxBreakpoints : Math.min(MAX_BREAKPOINTS, Math.max(1, value));
+            $(this).val(settings.maxBreakpoints);
+            await saveSettings();
+        });
+
+        // Prefix change select - re-capture or invalidate when the cached prefix no longer matches
+        $('#cache_refresher_on_prefix_change').off('change').on('change', async function() {
+            settings.onPrefixChange = String($(this).val());
+            await saveSettings();
+        });
+
+        // Max warm chats input - controls how many chats can be kept warm at the same time
+        $('#cache_refresher_max_warm_chats').off('change input').on('change input', async function() {
+            settings.maxWarmChats = parseInt($(this).val()) || defaultSettings.maxWarmChats;
+            await saveSettings();
+            evictSessions(getCurrentChatId());
+            updateUI();
+        });
+
+        // TTL profile inputs - override the profile of the active source (entered in seconds)
+        $('#cache_refresher_profile_ttl, #cache_refresher_profile_margin, #cache_refresher_profile_resets').off('change').on('change', async function() {
+            const profile = getActiveProfile();
+            const ttl = parseFloat($('#cache_refresher_profile_ttl').val());
+            const margin = parseFloat($('#cache_refresher_profile_margin').val());
+
+            delete settings.adaptiveState[profile.key];
+            settings.ttlOverrides[profile.key] = {
+                ttl: (ttl > 0 ? ttl : profile.ttl / 1000) * 1000,
+                margin: (margin >= 0 ? margin : profile.margin / 1000) * 1000,
+                resetsTtl: $('#cache_refresher_profile_resets').prop('checked'),
+            };
+            await saveSettings();
+
+            rescheduleActiveSessions();
+            updateSettingsPanel();
+        });
+
+        // Reset button - drops the user override of the active source's profile
+        $('#cache_refresher_profile_reset').off('click').on('click', async function() {
+            delete settings.ttlOverrides[getActiveProfile().key];
+            delete settings.adaptiveState[getActiveProfile().key];
+            await saveSettings();
+
+            rescheduleActiveSessions();
+            updateSettingsPanel();
+        });
+
+        // Adaptive interval toggle - tune the interval from cache hits and misses
+        $('#cache_refresher_adaptive').off('change').on('change', async function() {
+            settings.adaptiveInterval = $(this).prop('checked');
+            await saveSettings();
+            rescheduleActiveSessions();
+            updateUI();
+        });
+
+        // Adaptive bounds inputs - allowed interval range (in minutes)
+        $('#cache_refresher_adaptive_min, #cache_refresher_adaptive_max').off('change').on('change', async function() {
+            settings.adaptiveMinInterval = (parseFloat($('#cache_refresher_adaptive_min').val()) || defaultSettings.adaptiveMinInterval / (60 * 1000)) * 60 * 1000;
+            settings.adaptiveMaxInterval = (parseFloat($('#cache_refresher_adaptive_max').val()) || defaultSettings.adaptiveMaxInterval / (60 * 1000)) * 60 * 1000;
+            await saveSettings();
+            rescheduleActiveSessions();
+            updateSettingsPanel();
+        });
+
+        // Reset adaptive button - forget what was learned about the active source
+        $('#cache_refresher_adaptive_reset').off('click').on('click', async function() {
+            delete settings.adaptiveState[getActiveProfile().key];
+            await saveSettings();
+            rescheduleActiveSessions();
+            updateUI();
+        });
+
+        // Custom prices - JSON object of model identifiers to prices in USD per million tokens
+        // Warm-up checkboxes - write the cache before the first message
+        $('#cache_refresher_warm_up_open').off('change').on('change', async function() {
+            settings.warmUpOnOpen = $(this).prop('checked');
+            await saveSettings();
+        });
+        $('#cache_refresher_warm_up_typing').off('change').on('change', async function() {
+            settings.warmUpOnTyping = $(this).prop('checked');
+            await saveSettings();
+        });
+
+        // Warm-up threshold input - smaller prompts aren't worth a cache write
+        $('#cache_refresher_warm_up_min_tokens').off('change').on('change', async function() {
+            const value = parseInt($(this).val());
+            settings.warmUpMinTokens = Number.isNaN(value) ? defaultSettings.warmUpMinTokens : Math.max(0, value);
+            await saveSettings();
+        });
+
+        // Keep-warm hours - refreshes are only sent inside these windows
+        $('#cache_refresher_refresh_windows').off('change').on('change', async function() {
+            const value = String($(this).val()).trim();
+            try {
+                parseTimeWindows(value);
+                settings.refreshWindows = value;
+                await saveSettings();
+                rescheduleActiveSessions();
+            } catch (error) {
+                showNotification(`Invalid keep-warm hours: ${error.message}`, 'error');
+            }
+        });
+
+        // Spend limit inputs - 0 disables a limit
+        const limitInputs = {
+            '#cache_refresher_daily_token_limit': 'dailyTokenLimit',
+            '#cache_refresher_daily_cost_limit': 'dailyCostLimit',
+            '#cache_refresher_monthly_token_limit': 'monthlyTokenLimit',
+            '#cache_refresher_monthly_cost_limit': 'monthlyCostLimit',
+        };
+        for (const [selector, key] of Object.entries(limitInputs)) {
+            $(selector).off('change').on('change', async function() {
+                const limit = parseFloat($(this).val());
+                settings[key] = Number.isNaN(limit) ? defaultSettings[key] : Math.max(0, limit);
+                await saveSettings();
+                rescheduleActiveSessions();
+                updateSettingsPanel();
+            });
+        }
+
+        $('#cache_refresher_price_overrides').off('change').on('change', async function() {
+            const value = String($(this).val()).trim();
+            try {
+                settings.priceOverrides = value ? JSON.parse(value) : {};
+                await saveSettings();
+                updateSettingsPanel();
+            } catch (error) {
+                showNotification(`Invalid custom prices: ${error.message}`, 'error');
+            }
+        });
+
+        // History limit input - how many refresh attempts to keep
+        $('#cache_refresher_history_limit').off('change').on('change', async function() {
+            settings.historyLimit = Math.max(1, parseInt($(this).val()) || defaultSettings.historyLimit);
+            await saveSettings();
+            refreshHistory.length = Math.min(refreshHistory.length, settings.historyLimit);
+            saveHistory();
+            updateHistoryPanel();
+        });
+
+        // History export buttons - download the history as JSON or CSV
+        $('#cache_refresher_history_export_json').off('click').on('click', function() {
+            download(historyToJson(refreshHistory), 'cache-refresher-history.json', 'application/json');
+        });
+        $('#cache_refresher_history_export_csv').off('click').on('click', function() {
+            download(historyToCsv(refreshHistory), 'cache-refresher-history.csv', 'text/csv');
+        });
+
+        // Clear history button - forgets all recorded refresh attempts
+        $('#cache_refresher_history_clear').off('click').on('click', function() {
+            refreshHistory.length = 0;
+            saveHistory();
+            updateHistoryPanel();
+        });
+
+        // Reset ledger button - clears the recorded spend
+        $('#cache_refresher_ledger_reset').off('click').on('click', async function() {
+            settings.ledger = { days: {}, chats: {} };
+            ledgerRevision++;
+            await saveSettings();
+            updateLedgerPanel();
+        });
+
+        // Show notifications toggle - controls whether to show toast notifications
+        $('#cache_refresher_show_notifications').off('change').on('change', async function() {
+            settings.showNotifications = $(this).prop('checked');
+            await saveSettings();
+        });
+        
+        // Show status indicator toggle - controls whether to show the floating status indicator
+        $('#cache_refresher_show_status_indicator').off('change').on('change', async function() {
+            settings.showStatusIndicator = $(this).prop('checked');
+            await saveSettings();
+            updateUI(); // Update UI immediately to show/hide the indicator
         });
 
         debugLog('Settings handlers bound successfully');
     } catch (error) {
-        console.error('Cache Refresher: Error binding settings handlers:', error);
+        console.error('Cache Refresher: Error binding settings handlers:', error);
+    }
+}
+
+/**
+ * Adds the extension buttons to the UI
+ * Currently just initializes the UI state
+ */
+async function addExtensionControls() {
+    // No need to add buttons - the extension will be controlled through the settings panel
+    updateUI();
+}
+
+/**
+ * Asks the refresh policy whether a session may send its next refresh
+ * @param {RefreshSession} session - Session to decide for
+ * @returns {import('./src/policy.js').PolicyDecision} The decision
+ */
+function checkRefreshPolicy(session) {
+    const now = Date.now();
+
+    // A cache can't be kept warm through another account, whatever the user is doing
+    const unreachable = checkRefreshTarget(session.target, secret_state);
+    if (unreachable) {
+        return { allow: false, consumeBudget: false, reason: unreachable };
+    }
+
+    // Spend guardrails are hard limits, even typing doesn't override them
+    const guardrail = checkGuardrails(now);
+    if (guardrail) {
+        return { allow: false, consumeBudget: false, reason: guardrail };
+    }
+
+    return evaluateRefreshPolicy({ ...activity, now }, settings, session);
+}
+
+/**
+ * Checks the keep-warm windows and the spend limits
+ * @param {number} now - Current timestamp
+ * @returns {string|null} Why refreshes aren't allowed right now, or null if they are
+ */
+function checkGuardrails(now) {
+    try {
+        if (!isWithinWindows(parseTimeWindows(settings.refreshWindows), new Date(now))) {
+            return 'outside the keep-warm hours';
+        }
+    } catch (error) {
+        debugLog('Ignoring invalid keep-warm hours', error);
+    }
+
+    return checkSpendLimits(settings.spend, settings, now);
+}
+
+/**
+ * Shows a warning that stays until dismissed, for errors the user has to fix
+ * Shown even with notifications disabled, since refreshes stay paused until the user acts.
+ * @param {string} message - Warning to show
+ */
+function showPauseWarning(message) {
+    clearPauseWarning();
+    pauseWarning = toastr.warning(message, 'Cache Refresher paused', { timeOut: 0, extendedTimeOut: 0, closeButton: true });
+}
+
+/**
+ * Removes the pause warning, if it is still shown
+ */
+function clearPauseWarning() {
+    if (pauseWarning) {
+        toastr.clear(pauseWarning);
+        pauseWarning = null;
+    }
+}
+
+/**
+ * Picks a cycle back up when the user starts typing in a chat whose cache may still be warm
+ * This keeps the cache alive while a long reply is being written, even after the budget ran out
+ */
+function resumeCycleOnTyping() {
+    const session = getCurrentSession();
+    if (!getSessionSettings(session).enabled || !settings.keepWarmWhileTyping || !session?.prompt || !session.stopReason || isSessionActive(session)) {
+        return;
+    }
+
+    // Refreshes would keep failing until the user fixes the key or the credit, or the user paused or stopped them on purpose
+    if ([AUTH_PAUSE_REASON, USER_PAUSE_REASON, USER_STOP_REASON].includes(session.stopReason)) {
+        return;
+    }
+
+    // Nothing to keep warm anymore if the cache has already expired
+    const elapsed = Date.now() - session.lastActivity;
+    if (elapsed >= getActiveProfile(session).ttl) {
+        return;
+    }
+
+    debugLog(`User is typing, resuming refresh cycle for chat ${session.chatId}`);
+    session.stopReason = null;
+    scheduleNextRefresh(session, Math.max(0, getRefreshInterval(session) - elapsed));
+    updateUI();
+}
+
+/**
+ * Pauses the refresh cycle of a session until the user resumes it
+ * @param {RefreshSession} session - Session to pause
+ */
+function pauseRefreshCycle(session) {
+    endRefreshCycle(session, USER_PAUSE_REASON);
+    showNotification('Cache refreshes paused', 'info');
+}
+
+/**
+ * Adds refreshes to the budget of a session, resuming its cycle if it had stopped
+ * @param {RefreshSession} session - Session to extend
+ * @param {number} count - Number of refreshes to add
+ */
+function extendRefreshCycle(session, count) {
+    if (!getSessionSettings(session).enabled || !session.prompt || !Number.isFinite(session.refreshesLeft)) return;
+
+    session.refreshesLeft = Math.max(0, session.refreshesLeft) + count;
+    stopExpiryCountdown(session.chatId);
+    if (!isSessionActive(session)) {
+        resumeRefreshCycle(session);
+    } else {
+        shareSession(session);
+        handOffToServer(session);
+        updateUI();
+    }
+    showNotification(`Added ${count} refreshes, ${formatRefreshesLeft(session.refreshesLeft)} remaining`, 'info');
+}
+
+/**
+ * Gets the time the cache of a session expires at, one TTL after its last refresh or generation
+ * @param {RefreshSession} session - Session to check
+ * @returns {number} Timestamp of the expiry
+ */
+function getCacheExpiry(session) {
+    return session.lastActivity + getActiveProfile(session).ttl;
+}
+
+/**
+ * Starts the final countdown of a session whose refresh budget just ran out
+ * @param {RefreshSession} session - Session whose cycle stopped
+ */
+function startExpiryCountdown(session) {
+    stopExpiryCountdown(session.chatId);
+    expiryCountdowns.set(session.chatId, { level: -1, timer: null });
+    checkExpiryCountdown(session);
+}
+
+/**
+ * Ends the final countdown of a chat, if it has one
+ * @param {string} chatId - Chat whose countdown ends
+ */
+function stopExpiryCountdown(chatId) {
+    const countdown = expiryCountdowns.get(chatId);
+    if (countdown) {
+        clearTimeout(countdown.timer);
+        expiryCountdowns.delete(chatId);
+    }
+}
+
+/**
+ * Gives the warning that is due in the final countdown of a session and schedules the next check
+ * The countdown ends quietly when the cycle started again, and with a last notice once the cache expired.
+ * @param {RefreshSession} session - Session counting down
+ */
+function checkExpiryCountdown(session) {
+    const countdown = expiryCountdowns.get(session.chatId);
+    if (!countdown) return;
+
+    const restarted = sessions.get(session.chatId) !== session || !session.prompt
+        || isSessionActive(session) || session.stopReason !== BUDGET_USED_UP_REASON;
+    const timeLeft = getCacheExpiry(session) - Date.now();
+    if (restarted || timeLeft <= 0) {
+        stopExpiryCountdown(session.chatId);
+        if (!restarted) {
+            showNotification(`The cache of ${session.chatName} has expired`, 'info');
+        }
+        updateUI();
+        return;
+    }
+
+    let thresholds = [];
+    try {
+        thresholds = parseExpiryThresholds(settings.expiryWarnings);
+    } catch (error) {
+        debugLog('Ignoring invalid expiry warnings', error);
+    }
+
+    const level = getDueExpiryWarning(timeLeft, thresholds, countdown.level);
+    if (level !== null) {
+        countdown.level = level;
+        warnOfExpiry(session, timeLeft, level === thresholds.length - 1);
+    }
+
+    // A generation may still touch the cache and push the expiry back, so the check after the last warning is the expiry itself
+    countdown.timer = setTimeout(() => checkExpiryCountdown(session), getNextExpiryCheck(timeLeft, thresholds, countdown.level));
+}
+
+/**
+ * Warns that the cache of a session is about to expire, offering to add refreshes
+ * Shown even with notifications disabled, since the thresholds are set for exactly this.
+ * @param {RefreshSession} session - Session whose cache expires
+ * @param {number} timeLeft - Time until the cache expires, in milliseconds
+ * @param {boolean} urgent - Whether this is the last warning before the expiry
+ */
+function warnOfExpiry(session, timeLeft, urgent) {
+    const message = `The cache of ${session.chatName} expires in ${Math.round(timeLeft / 1000)}s.`;
+    const action = `Click to add ${settings.extendBy} more refreshes.`;
+    const extend = () => extendRefreshCycle(session, settings.extendBy);
+
+    toastr[urgent ? 'error' : 'warning'](`${message} ${action}`, 'Cache expiring', {
+        timeOut: Math.min(timeLeft, 15000),
+        closeButton: true,
+        onclick: extend,
+    });
+
+    // A browser notification also reaches a user who is looking at another tab or window
+    if (settings.expiryBrowserNotifications && typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+        const notification = new Notification('Cache expiring', { body: `${message} ${action}`, tag: `cache_refresher_expiry_${session.chatId}` });
+        notification.onclick = () => {
+            window.focus();
+            extend();
+            notification.close();
+        };
+    }
+
+    if (settings.expirySound) {
+        playExpirySound(urgent);
+    }
+}
+
+/**
+ * Plays the expiry warning sound, a single beep or three higher beeps for the last warning
+ * Browsers may keep audio muted until the user has interacted with the page.
+ * @param {boolean} urgent - Whether this is the last warning before the expiry
+ */
+function playExpirySound(urgent) {
+    try {
+        const audio = new AudioContext();
+        const beeps = urgent ? 3 : 1;
+
+        for (let i = 0; i < beeps; i++) {
+            const oscillator = audio.createOscillator();
+            const gain = audio.createGain();
+            oscillator.frequency.value = urgent ? 880 : 660;
+            gain.gain.value = 0.1;
+            oscillator.connect(gain).connect(audio.destination);
+            oscillator.start(audio.currentTime + i * 0.25);
+            oscillator.stop(audio.currentTime + i * 0.25 + 0.15);
+        }
+
+        setTimeout(() => audio.close(), beeps * 250 + 250);
+    } catch (error) {
+        debugLog('Could not play the expiry warning sound', error);
+    }
+}
+
+/**
+ * Builds the refresh request of a session for the connection its prompt was captured from
+ * @param {RefreshSession} session - Session to refresh
+ * @returns {Promise<{endpoint: string, payload: Object}>} Endpoint and payload of the request
+ */
+async function buildSessionRequest(session) {
+    const maxTokens = Math.floor(Number(getSessionSettings(session).maxTokens)) || defaultSettings.maxTokens;
+
+    // Manual refreshes skip the policy, so they are checked here
+    const unreachable = checkRefreshTarget(session.target, secret_state);
+    if (unreachable) {
+        throw new Error(unreachable);
+    }
+
+    // Built from the settings captured with the prompt, not the connection selected now
+    if (session.api === 'openai') {
+        const payload = await buildChatCompletionPayload(getRefreshPrompt(session), session.target.settings, maxTokens, {
+            getModel: getChatCompletionModel,
+            createParameters: createGenerationParameters,
+        });
+        return { endpoint: chatCompletionEndpoint, payload };
+    }
+
+    if (Object.hasOwn(textCompletionEndpoints, session.api) && session.request) {
+        return { endpoint: textCompletionEndpoints[session.api], payload: buildTextCompletionPayload(session.request, maxTokens) };
+    }
+
+    throw new Error(`Unsupported API for cache refresh: ${session.api}`);
+}
+
+/**
+ * Records the usage and cost of a refresh response in the persistent ledger
+ * @param {RefreshSession} session - Session that was refreshed
+ * @param {string} model - Model the refresh was sent to
+ * @param {any} data - Response data of the refresh request
+ * @returns {{usage: import('./src/ledger.js').Usage, costs: {cost: number|null, coldCost: number|null}}|null} Parsed usage and costs, or null if the response had none
+ */
+function recordUsage(session, model, data) {
+    const usage = parseUsage(data);
+    const price = findModelPrice(model, settings.priceOverrides);
+    if (!usage) {
+        // The spend limits are hard guardrails, so the refresh still counts, sized by the prompt it sent
+        const estimate = estimateUsage(estimateRefreshTokens(session));
+        addSpend(settings.spend, estimate.promptTokens, estimateCost(estimate, price).cost, Date.now());
+        saveSettings();
+        debugLog(`Refresh response reported no usage, counted an estimate of ${estimate.promptTokens} tokens against the spend limits`);
+        return null;
+    }
+
+    const costs = estimateCost(usage, price);
+    if (!price && costs.cost !== null) {
+        costReportedModels.add(model);
+    }
+    recordRefresh(settings.ledger, {
+        chatId: session.chatId,
+        usage,
+        costs,
+        timestamp: Date.now(),
+    });
+    ledgerRevision++;
+    addSpend(settings.spend, usage.promptTokens + usage.outputTokens, costs.cost, Date.now());
+    saveSettings();
+
+    debugLog('Recorded refresh usage', { usage, costs });
+    return { usage, costs };
+}
+
+/**
+ * Estimates the tokens a refresh of a session sends, for refreshes whose response reported no usage
+ * @param {RefreshSession} session - Session that was refreshed
+ * @returns {number} Token count of the refresh prompt, or a rough count from its length while it isn't counted yet
+ */
+function estimateRefreshTokens(session) {
+    if (!session.prompt) return 0;
+    if (session.tokenCounts) {
+        return typeof session.prompt === 'string' || !settings.trimRefreshPrompt ? session.tokenCounts.full : session.tokenCounts.trimmed;
+    }
+    return Math.ceil(getPromptText(getRefreshPrompt(session)).length / 4);
+}
+
+/**
+ * Warns when the dollar limits can't be enforced for the model refreshes of the current chat go to
+ * @returns {string} Warning, empty if no dollar limit is set or the refreshes can be priced
+ */
+function describeSpendLimitGap() {
+    if (!(settings.dailyCostLimit > 0) && !(settings.monthlyCostLimit > 0)) return '';
+
+    const session = getCurrentSession();
+    const model = session?.prompt ? session.target?.model : (isChatCompletion() ? getChatCompletionModel(chatCompletionSettings) : '');
+    if (!model || findModelPrice(model, settings.priceOverrides) || costReportedModels.has(model)) return '';
+
+    return `The spend limits in dollars can't be enforced for ${model}, its price is unknown. Add it to Custom Prices or set a token limit.`;
+}
+
+/**
+ * Adds a refresh attempt to the persistent history and updates the history view
+ * @param {import('./src/history.js').HistoryEntry} entry - Refresh attempt to record
+ */
+function recordHistory(entry) {
+    addHistoryEntry(refreshHistory, entry, settings.historyLimit || defaultSettings.historyLimit);
+    saveHistory();
+    updateHistoryPanel();
+}
+
+/**
+ * Writes the refresh history to localStorage
+ */
+function saveHistory() {
+    try {
+        localStorage.setItem(historyStorageKey, JSON.stringify(refreshHistory));
+    } catch (error) {
+        console.error('Cache Refresher: Error saving refresh history:', error);
+    }
+}
+
+/**
+ * Reports the outcome of a refresh attempt: ledger, history, adaptive interval, notifications and events
+ * @param {RefreshSession} session - Session that was refreshed
+ * @param {import('./src/scheduler.js').RefreshOutcome} outcome - What happened to the refresh
+ */
+function handleRefreshOutcome(session, outcome) {
+    const { manual, decision, error } = outcome;
+
+    /** @type {import('./src/history.js').HistoryEntry} */
+    const historyEntry = {
+        timestamp: outcome.startedAt,
+        chatId: session.chatId,
+        chatName: session.chatName,
+        model: outcome.model,
+        outcome: 'failed',
+        latency: outcome.latency,
+        promptTokens: null,
+        cachedTokens: null,
+        cacheWriteTokens: null,
+        outputTokens: null,
+        cost: null,
+        error: error?.message ?? '',
+    };
+
+    if (outcome.succeeded) {
+        const recorded = recordUsage(session, outcome.model, outcome.data);
+        const usage = recorded?.usage ?? null;
+        const usageString = usage ? ` ${usage.cachedTokens} of ${usage.promptTokens} prompt tokens were cached.` : '';
+
+        const hit = updateAdaptiveState(usage, session);
+        Object.assign(historyEntry, {
+            outcome: hit === null ? 'refreshed' : (hit ? 'hit' : 'miss'),
+            promptTokens: usage?.promptTokens ?? null,
+            cachedTokens: usage?.cachedTokens ?? null,
+            cacheWriteTokens: usage?.cacheWriteTokens ?? null,
+            outputTokens: usage?.outputTokens ?? null,
+            cost: recorded?.costs.cost ?? null,
+        });
+
+        // A refresh without cached tokens means the cache had already expired or the prompt changed
+        if (hit === false) {
+            const adaptiveString = settings.adaptiveInterval ? ` Interval shortened to ${formatDuration(getRefreshInterval(session))}.` : '';
+            showNotification(`Cache miss: the refresh found no cached tokens.${adaptiveString}`, 'warning');
+        }
+
+        // Show notification for successful refresh
+        const budgetString = decision.consumeBudget
+            ? `${formatRefreshesLeft(session.refreshesLeft)} refreshes remaining.`
+            : `Kept warm because ${decision.reason}.`;
+        showNotification(`Cache refreshed. ${budgetString}${usageString}`, 'success');
+        emitRefresherEvent(refresherEvents.REFRESHED, { chatId: session.chatId, model: outcome.model, hit, usage, manual });
+    } else if (outcome.aborted) {
+        historyEntry.outcome = 'aborted';
+        historyEntry.error = '';
+        debugLog(`Refresh of chat ${session.chatId} gave way to a generation`);
+    } else {
+        emitRefresherEvent(refresherEvents.FAILED, { chatId: session.chatId, error: error.message, category: outcome.category, manual });
+
+        if (outcome.retryDelay !== null) {
+            showNotification(`Cache refresh failed: ${error.message}. Retrying in ${Math.ceil(outcome.retryDelay / 1000)}s.`, 'warning');
+        } else if (outcome.category === ErrorCategory.RETRYABLE) {
+            showNotification(`Cache refresh failed: ${error.message}. The cache expires before another retry.`, 'error');
+        } else if (outcome.category === ErrorCategory.AUTH) {
+            showPauseWarning(`Refreshes are paused: ${error.message}. Check your API key and credit, then send a message or use /cache-start.`);
+        } else {
+            showNotification(`Cache refresh failed: ${error.message}`, 'error');
+        }
+    }
+
+    recordHistory(historyEntry);
+}
+
+/**
+ * Captures generation data for future cache refreshing
+ * This is called when a new message is generated to store the prompt for later refreshes
+ *
+ * @param {Object} data - The generation data from SillyTavern; looks like this '{chat: Array(17), dryRun: true}'
+ * @param {Object|null} request - Request body of a text completion prompt, null for chat completion
+ */
+function captureGenerationData(data, request = null) {
+    // Don't capture if the extension is disabled
+    if (!effective.enabled) {
+        // Ensure we don't have any stored data if disabled, unless only the settings profile of this chat turned it off
+        if (sessions.size && !activeSettingsProfile) {
+            clearAllSessions();
+            debugLog('Extension disabled - cleared stored generation data');
+        }
+        return;
+    }
+
+    debugLog('captureGenerationData', data);
+    debugLog('Current API:', getMainApi());
+
+    try {
+        // Only support chat completion and text completion APIs with a prompt cache
+        if (!isSupportedApi()) {
+            debugLog('Cache Refresher: Unsupported API');
+            return;
+        }
+
+        // Skip dry runs as they're not actual messages
+        // Dry runs are used for things like token counting and don't represent actual chat messages
+        if (data.dryRun) {
+            // Unless the extension started it to see what the prompt looks like now
+            if (pendingDryRun) {
+                pendingDryRun({ prompt: data.chat, request });
+                pendingDryRun = null;
+            }
+            debugLog('Cache Refresher: Skipping dry run');
+            return;
+        }
+
+        // Quiet prompts and impersonations reuse the cached prefix but aren't the chat's prompt
+        if (auxiliaryGenerationTypes.includes(currentGeneration?.type)) {
+            const existing = getCurrentSession();
+            if (existing?.prompt && existing.api === getMainApi()
+                && fingerprintPrefix(data.chat, existing.prefixLength) === existing.fingerprint) {
+                currentGeneration.chatId = existing.chatId;
+                debugLog(`${currentGeneration.type} generation reuses the cached prefix, counting it as a cache touch`);
+            } else {
+                debugLog(`${currentGeneration.type} generation doesn't reuse the cached prefix, ignoring it`);
+            }
+            return;
+        }
+
+        const session = getSession(getCurrentChatId(), true);
+        if (!session) {
+            debugLog('Cache Refresher: No chat is open');
+            return;
+        }
+
+        if (currentGeneration) {
+            currentGeneration.chatId = session.chatId;
+        }
+
+        // Store the chat prompt for future refreshes
+        session.api = getMainApi();
+        session.request = request;
+        session.target = captureRefreshTarget(request);
+        session.profileKeys = captureProfileKeys();
+        setSessionPrompt(session, data.chat);
+        session.lastActivity = Date.now();
+        debugLog('Captured generation data', session);
+        //Stop refresh cycle on new prompt (work better than GENERATION_STOPPED event)
+        stopRefreshCycle(session);
+
+    } catch (error) {
+        debugLog('Error capturing generation data', error);
+    }
+}
+
+/**
+ * Places the cache breakpoints of a chat completion prompt before SillyTavern sends it
+ * Dry runs of the extension get them too, so a prompt re-captured from one still keeps the
+ * breakpoints warm. SillyTavern doesn't report lorebook activations of dry runs, so those use
+ * the entries of the last generation.
+ * @param {Object} data - The prompt-ready event data, whose chat is modified in place
+ */
+function manageCacheBreakpoints(data) {
+    if (!effective.enabled || !settings.manageBreakpoints || !isChatCompletion() || !Array.isArray(data.chat)) return;
+    if (data.dryRun && !pendingDryRun) return;
+    if (!supportsCacheBreakpoints(chatCompletionSettings.chat_completion_source, getChatCompletionModel(chatCompletionSettings))) return;
+
+    try {
+        const breakpoints = placeCacheBreakpoints(data.chat, {
+            lorebook: activatedLorebook,
+            depth: settings.cacheDepth,
+            limit: settings.maxBreakpoints,
+        });
+        promptBreakpoints.set(data.chat, breakpoints);
+        debugLog('Placed cache breakpoints', breakpoints);
+    } catch (error) {
+        debugLog('Could not place cache breakpoints', error);
+    }
+}
+
+/**
+ * Captures the request body of a text completion generation for future cache refreshing
+ * Text completion APIs have no prompt-ready event, so the final request is taken from GENERATE_AFTER_DATA
+ * @param {Object} generateData - Request body SillyTavern is about to send
+ * @param {boolean} dryRun - Whether the generation is a dry run
+ */
+function captureTextCompletionData(generateData, dryRun) {
+    // Chat completion prompts are captured from CHAT_COMPLETION_PROMPT_READY
+    if (!isTextCompletion() || typeof generateData?.prompt !== 'string') return;
+
+    // The request is cloned because SillyTavern adds streaming flags to it before sending
+    captureGenerationData({ chat: generateData.prompt, dryRun }, structuredClone(generateData));
+}
+
+/**
+ * Takes a snapshot of the connection in use, so refreshes of a prompt captured now keep going to it
+ * @param {Object|null} request - Request body of a text completion prompt, null for chat completion
+ * @returns {import('./src/target.js').RefreshTarget} The snapshot
+ */
+function captureRefreshTarget(request = null) {
+    const api = getMainApi();
+
+    return createRefreshTarget({
+        api,
+        completionSettings: api === 'openai' ? chatCompletionSettings : null,
+        request,
+        getModel: getChatCompletionModel,
+        secretKey: resolveSecretKey(),
+        secretState: secret_state,
+    });
+}
+
+/**
+ * Stops the cycles whose connection can no longer be honoured, e.g. after the API key was switched
+ */
+function stopUnreachableSessions() {
+    for (const session of sessions.values()) {
+        const unreachable = isSessionActive(session) ? checkRefreshTarget(session.target, secret_state) : null;
+        if (!unreachable) continue;
+
+        endRefreshCycle(session, unreachable);
+        showNotification(`Refreshes of ${session.chatName} stopped: ${unreachable}.`, 'warning');
+    }
+}
+
+/**
+ * Stores a prompt in a session together with the fingerprint of its cacheable prefix
+ * @param {RefreshSession} session - Session to update
+ * @param {Array|string} prompt - Chat completion messages or text completion prompt
+ * @param {import('./src/breakpoints.js').CacheBreakpoint[]|null} [breakpoints] - Cache breakpoints the extension placed in the prompt
+ */
+function setSessionPrompt(session, prompt, breakpoints = promptBreakpoints.get(prompt) ?? null) {
+    session.prompt = prompt;
+    session.breakpoints = breakpoints;
+    session.prefixLength = getCacheablePrefixLength(prompt, settings.cacheDepth);
+    session.fingerprint = fingerprintPrefix(prompt, session.prefixLength);
+    session.tokenCounts = null;
+    countRefreshTokens(session);
+}
+
+/**
+ * Gets the prompt a refresh of a session sends
+ * @param {RefreshSession} session - Session to refresh
+ * @returns {Array|string} The cacheable prefix when trimming is enabled, the captured prompt otherwise
+ */
+function getRefreshPrompt(session) {
+    return settings.trimRefreshPrompt ? trimToCacheablePrefix(session.prompt, session.prefixLength) : session.prompt;
+}
+
+/**
+ * Counts the tokens of a session's captured prompt and of its trimmed refresh prompt for the settings panel
+ * @param {RefreshSession} session - Session whose prompt was just captured
+ */
+async function countRefreshTokens(session) {
+    const prompt = session.prompt;
+    try {
+        const { getTokenCountAsync } = SillyTavern.getContext();
+        const full = await getTokenCountAsync(getPromptText(prompt));
+        const trimmed = await getTokenCountAsync(getPromptText(trimToCacheablePrefix(prompt, session.prefixLength)));
+
+        // Another prompt may have been captured in the meantime
+        if (session.prompt === prompt) {
+            session.tokenCounts = { full, trimmed };
+            updateSettingsPanel();
+        }
+    } catch (error) {
+        debugLog('Could not count the tokens of the refresh prompt', error);
+    }
+}
+
+/**
+ * Describes the size of the prompt refreshes of a session send
+ * @param {RefreshSession|null} session - Session to describe
+ * @returns {string} Token counts before and after trimming
+ */
+function describeRefreshTokens(session) {
+    if (!session?.prompt) return 'No prompt captured for this chat yet';
+    if (!session.tokenCounts) return 'Counting tokens...';
+
+    const { full, trimmed } = session.tokenCounts;
+    if (typeof session.prompt === 'string' || full === trimmed) {
+        return `Refreshes send the whole prompt: ${full} tokens`;
+    }
+    return settings.trimRefreshPrompt
+        ? `Refreshes send ${trimmed} of ${full} prompt tokens (${full - trimmed} trimmed after the cache breakpoint)`
+        : `Refreshes send all ${full} prompt tokens, trimming would send ${trimmed}`;
+}
+
+/**
+ * Describes which segments of a session's prompt the breakpoints of the extension cache
+ * @param {RefreshSession|null} session - Session to describe
+ * @returns {string} Cached segments with their message ranges, or why no breakpoints are placed
+ */
+function describeCacheSegments(session) {
+    if (!settings.manageBreakpoints) return '';
+
+    const source = getActiveSource();
+    if (!supportsCacheBreakpoints(source, getChatCompletionModel(chatCompletionSettings))) {
+        return source === 'claude'
+            ? 'SillyTavern places the breakpoints of direct Claude connections itself, see cachingAtDepth in config.yaml'
+            : 'Breakpoints are only placed for Claude models on OpenRouter or a custom endpoint';
+    }
+    if (!session?.breakpoints?.length || !Array.isArray(session.prompt)) return 'No breakpoints placed in the prompt of this chat yet';
+
+    const labels = {
+        [CacheSegment.DEFINITIONS]: 'system prompt and character',
+        [CacheSegment.LOREBOOK]: 'lorebook',
+        [CacheSegment.PREVIOUS_TURN]: 'chat history',
+        [CacheSegment.HISTORY]: 'chat history',
+    };
+
+    const segments = [];
+    let start = 0;
+    let previous = null;
+    for (const { segment, end } of session.breakpoints) {
+        // Two history breakpoints split the history before the last turn from the latest turns
+        const label = segment === CacheSegment.HISTORY && previous === CacheSegment.PREVIOUS_TURN ? 'latest turns' : labels[segment];
+        segments.push(`${label} (messages ${start + 1}-${end})`);
+        start = end;
+        previous = segment;
+    }
+
+    const uncached = session.prompt.length > start ? `; not cached: messages ${start + 1}-${session.prompt.length}` : '';
+    return `Cached: ${segments.join(', ')}${uncached}`;
+}
+
+/**
+ * Builds the prompt SillyTavern would send now for the current chat, using a dry run
+ * @returns {Promise<{prompt: Array|string, request: Object|null}|null>} Prompt and text completion request body, or null if it couldn't be built
+ */
+async function buildCurrentPrompt() {
+    // A dry run replaces SillyTavern's abort controller, so never start one during a generation
+    if (generationActive || pendingDryRun || !isSupportedApi()) {
+        return null;
+    }
+
+    const prompt = new Promise((resolve) => {
+        pendingDryRun = resolve;
+        setTimeout(() => resolve(null), 10000);
+    });
+
+    try {
+        await SillyTavern.getContext().generate('normal', {}, true);
+        return await prompt;
+    } catch (error) {
+        debugLog('Dry run failed', error);
+        return null;
+    } finally {
+        pendingDryRun = null;
     }
 }
 
 /**
- * Adds the extension buttons to the UI
- * Currently just initializes the UI state
+ * Extracts the text of a prompt for token counting
+ * @param {Array|string} prompt - Chat completion messages or text completion prompt
+ * @returns {string} Prompt text
  */
-async function addExtensionControls() {
-    // No need to add buttons - the extension will be controlled through the settings panel
-    updateUI();
+function getPromptText(prompt) {
+    if (typeof prompt === 'string') return prompt;
+
+    return prompt.map((message) => {
+        if (Array.isArray(message?.content)) {
+            return message.content.map(part => part?.text ?? '').join('\n');
+        }
+        return String(message?.content ?? '');
+    }).join('\n');
 }
 
 /**
- * !!!DEPRECATED!!!
- * Starts the refresh cycle
- * This should only be called internally and not directly from event handlers
- * It begins the process of periodically refreshing the cache
+ * Writes the cache of the current chat before the first message is sent
+ * Builds the prompt with a dry run and sends it as a refresh, then starts the refresh cycle
+ * from there, so the first real message reads a warm cache. Only chats whose prompt reaches
+ * the token threshold are warmed up, small prompts aren't worth the cache write.
+ * @param {string} trigger - What started the warm-up, for the notification
  */
-function startRefreshCycle() {
-    debugLog('startRefreshCycle:', lastGenerationData);
-
-    // Don't start if we don't have a prompt or if the extension is disabled
-    if (!lastGenerationData.prompt || !settings.enabled) return;
-    debugLog('startRefreshCycle: pass');
+async function warmUpCurrentChat(trigger) {
+    const chatId = getCurrentChatId();
+    if (!effective.enabled || !chatId || warmUpInProgress || !isRefresher()) return;
+
+    // Warm-ups are background spend, so the guardrails apply to them
+    const guardrail = checkGuardrails(Date.now());
+    if (guardrail) {
+        debugLog(`Not warming up chat ${chatId}: ${guardrail}`);
+        return;
+    }
 
-    // Only support chat completion APIs for now
-    if (!isChatCompletion()) {
-        debugLog('startRefreshCycle: Not a chat completion prompt');
+    // Nothing to do while the chat's cache is still warm or being kept warm
+    const existing = getSession(chatId);
+    if (isSessionActive(existing) || (existing?.prompt && Date.now() - existing.lastActivity < getActiveProfile(existing).ttl)) {
         return;
     }
 
-    // Clear any existing cycle to prevent duplicates
-    stopRefreshCycle();
+    warmUpInProgress = true;
+    try {
+        const current = await buildCurrentPrompt();
+        if (!current || getCurrentChatId() !== chatId) return;
 
-    // Initialize the refresh cycle
-    refreshesLeft = settings.maxRefreshes;
-    scheduleNextRefresh();
-    updateUI();
+        const tokens = await SillyTavern.getContext().getTokenCountAsync(getPromptText(current.prompt));
+        if (tokens < settings.warmUpMinTokens) {
+            debugLog(`Prompt of chat ${chatId} has ${tokens} tokens, below the warm-up threshold`);
+            return;
+        }
 
-    debugLog('Refresh cycle started', {
-        refreshesLeft,
-        interval: settings.refreshInterval,
-    });
+        const session = getSession(chatId, true);
+        session.api = getMainApi();
+        session.request = current.request;
+        session.target = captureRefreshTarget(current.request);
+        session.profileKeys = captureProfileKeys();
+        setSessionPrompt(session, current.prompt);
+
+        // The warm-up is sent right away and reschedules the cycle from there
+        debugLog(`Warming up the cache of chat ${chatId} (${tokens} tokens) because ${trigger}`);
+        stopRefreshCycle(session);
+        beginRefreshCycle(session);
+        await refreshCache(session, true, `the chat was warmed up when ${trigger}`);
+    } catch (error) {
+        debugLog('Warm-up failed', error);
+    } finally {
+        warmUpInProgress = false;
+    }
+}
+
+/**
+ * Schedules a warm-up of the chat that was just opened, once it has finished loading
+ */
+function scheduleWarmUpOnOpen() {
+    clearTimeout(warmUpTimer);
+    if (!settings.warmUpOnOpen) return;
+
+    warmUpTimer = setTimeout(() => warmUpCurrentChat('it was opened'), 2000);
 }
 
 /**
- * Stops the refresh cycle
- * Cleans up all timers and resets state
+ * Compares the cached prefix of the current chat with the prompt SillyTavern would build now
+ * When they differ, refreshing the captured prompt would only write a cache nobody reuses,
+ * so the session is either re-captured from the new prompt or invalidated.
  */
-function stopRefreshCycle() {
-    // Clear the refresh timer
-    if (refreshTimer) {
-        clearTimeout(refreshTimer);
-        refreshTimer = null;
+async function checkPromptPrefix() {
+    const session = getCurrentSession();
+    // A dry run can only rebuild the prompt for the connection it was captured from
+    if (!effective.enabled || !session?.prompt || !session.fingerprint || !isSameConnection(session.target, captureRefreshTarget())) {
+        return;
     }
 
-    // Clear the status update interval
-    if (statusUpdateInterval) {
-        clearInterval(statusUpdateInterval);
-        statusUpdateInterval = null;
+    const current = await buildCurrentPrompt();
+    if (!current || sessions.get(session.chatId) !== session || getCurrentChatId() !== session.chatId || !session.prompt) {
+        return;
     }
 
-    // Reset state variables
-    nextRefreshTime = null;
-    refreshInProgress = false;
+    if (fingerprintPrefix(current.prompt, session.prefixLength) === session.fingerprint) {
+        debugLog('Cacheable prefix unchanged');
+        return;
+    }
 
-    // Update UI to reflect stopped state
+    if (settings.onPrefixChange === 'invalidate') {
+        debugLog(`Cacheable prefix changed, invalidating session of chat ${session.chatId}`);
+        session.prompt = null;
+        session.fingerprint = null;
+        endRefreshCycle(session, 'prompt prefix changed');
+        showNotification('Chat changed, the cached prompt is stale. Refreshes stopped until the next message.', 'warning');
+    } else {
+        debugLog(`Cacheable prefix changed, re-capturing prompt of chat ${session.chatId}`);
+        session.request = current.request;
+        session.target = captureRefreshTarget(current.request);
+        session.profileKeys = captureProfileKeys();
+        setSessionPrompt(session, current.prompt);
+        showNotification('Chat changed, refreshes now keep the updated prompt warm.', 'info');
+    }
     updateUI();
+}
+
+/**
+ * Schedules a prompt prefix check, coalescing bursts of edits into a single dry run
+ */
+function schedulePromptPrefixCheck() {
+    clearTimeout(prefixCheckTimer);
+    prefixCheckTimer = setTimeout(checkPromptPrefix, 1000);
+}
 
-    debugLog('Refresh cycle stopped');
+/**
+ * Checks whether this tab is the one sending scheduled refreshes
+ * @returns {boolean} True if this tab is the refresher, or tabs aren't coordinated
+ */
+function isRefresher() {
+    return !tabSync || tabSync.isLeader();
 }
 
 /**
- * Schedules the next refresh
- * This sets up a timer to perform the next cache refresh
+ * Shares the state of a session with the other tabs, so they can take over its refreshes
+ * @param {RefreshSession} session - Session to share
  */
-function scheduleNextRefresh() {
-    // Don't schedule if the extension is disabled, no refreshes left, or no prompt
-    if (!settings.enabled || refreshesLeft <= 0 || !lastGenerationData.prompt) {
-        stopRefreshCycle();
-        return;
-    }
+function shareSession(session) {
+    if (!tabSync || sessions.get(session.chatId) !== session) return;
+
+    tabSync.post({
+        type: 'session',
+        state: {
+            chatId: session.chatId,
+            chatName: session.chatName,
+            api: session.api,
+            prompt: session.prompt,
+            request: session.request,
+            target: session.target,
+            profileKeys: session.profileKeys,
+            breakpoints: session.breakpoints,
+            refreshesLeft: session.refreshesLeft,
+            cycleStartedAt: session.cycleStartedAt,
+            stopReason: session.stopReason,
+            nextRefreshTime: session.nextRefreshTime,
+            lastActivity: session.lastActivity,
+            heldByServer: session.heldByServer,
+        },
+    });
+}
 
-    // Calculate and store the next refresh time for the countdown display
-    nextRefreshTime = Date.now() + settings.refreshInterval;
+/**
+ * Hands the refresh cycle of a session to the server plugin, or takes it back once the cycle stopped
+ * The browser timer stays armed while the server holds the cycle, but only checks in on it.
+ * @param {RefreshSession} session - Session whose cycle changed
+ */
+async function handOffToServer(session) {
+    if (!serverPlugin || !isRefresher() || sessions.get(session.chatId) !== session) return;
 
-    // Set up the timer for the next refresh
-    refreshTimer = setTimeout(() => {
-        refreshCache();
-    }, settings.refreshInterval);
+    try {
+        const now = Date.now();
+        const limits = settings.serverKeepAlive && !serverOriginError && session.prompt && session.nextRefreshTime ? getServerLimits(session, now) : null;
+        if (!limits) {
+            if (session.heldByServer) {
+                session.heldByServer = false;
+                await cancelServerCycle(session);
+            }
+            return;
+        }
 
-    debugLog(`Next refresh scheduled in ${settings.refreshInterval / 1000} seconds`);
+        const { endpoint, payload } = await buildSessionRequest(session);
+        const requestHash = hashString(`${endpoint}\n${JSON.stringify(payload)}`);
+        const { ttl } = getActiveProfile(session);
+        const cycle = {
+            chatId: session.chatId,
+            chatName: session.chatName,
+            delay: Math.max(0, session.nextRefreshTime - now),
+            interval: getRefreshInterval(session),
+            ttl,
+            expiresIn: Math.max(0, session.lastActivity + ttl - now),
+            refreshesLeft: Number.isFinite(session.refreshesLeft) ? session.refreshesLeft : null,
+            allowance: limits.allowance,
+            stopIn: limits.stopIn,
+            unattendedTimeout: settings.hiddenTimeout,
+        };
 
-    // Update the status indicator immediately to show new time
-    updateStatusIndicator();
+        // The prompt is only uploaded when the request changed, a new countdown reuses the one the server holds
+        let response = null;
+        if (session.heldByServer && serverRequests.get(session.chatId) === requestHash) {
+            response = await callServerPlugin('reschedule', cycle, getRequestHeaders());
+        }
+        if (!response?.job) {
+            response = await callServerPlugin('schedule', { ...cycle, endpoint, payload }, getRequestHeaders());
+            serverRequests.set(session.chatId, requestHash);
+        }
+
+        if (!response) {
+            serverPlugin = false;
+            debugLog('Server plugin is gone, refreshing from this tab');
+            return;
+        }
+
+        // The cycle may have stopped while the request was in flight
+        if (!session.nextRefreshTime || sessions.get(session.chatId) !== session) {
+            await cancelServerCycle(session);
+            return;
+        }
+
+        session.heldByServer = true;
+        debugLog(`Server plugin refreshes chat ${session.chatId} from now on`);
+        shareSession(session);
+        updateUI();
+    } catch (error) {
+        debugLog(`Could not hand the cycle of chat ${session.chatId} to the server plugin, refreshing from this tab`, error);
+        session.heldByServer = false;
+    }
 }
 
 /**
- * Performs a cache refresh by sending a minimal request to the API
- * This keeps the model's context cache warm without generating a full response
+ * Gets the limits a cycle held by the server plugin has to keep without the page
+ * The server can't check the guardrails, so it gets the earliest of the policy deadline and the
+ * end of the current keep-warm hours, and the number of refreshes the spend limits still allow.
+ * @param {RefreshSession} session - Session to hand off
+ * @param {number} now - Current timestamp
+ * @returns {{stopIn: number|null, allowance: number|null}|null} Limits of the cycle, null if it has to stay in this tab
  */
-async function refreshCache() {
-    // Don't refresh if we don't have a prompt or if a refresh is already in progress
-    if (!lastGenerationData.prompt || refreshInProgress) return;
-
-    // Set the flag to prevent concurrent refreshes
-    refreshInProgress = true;
-    updateUI();
-
-    let eventHook = () => { };
-    
+function getServerLimits(session, now) {
+    const deadlines = [getPolicyDeadline({ ...activity, now }, settings, session)];
     try {
-        debugLog('Refreshing cache with data', lastGenerationData);
+        deadlines.push(getWindowEnd(parseTimeWindows(settings.refreshWindows), new Date(now)));
+    } catch (error) {
+        debugLog('Ignoring invalid keep-warm hours', error);
+    }
+    const stopAt = deadlines.filter(deadline => deadline !== null);
+    const stopIn = stopAt.length ? Math.min(...stopAt) - now : null;
+
+    // Refreshes of models with an unknown price can't be counted against the dollar limits
+    const tokens = estimateRefreshTokens(session);
+    const { cost } = estimateCost(estimateUsage(tokens), findModelPrice(session.target?.model, settings.priceOverrides));
+    const allowance = countAllowedRefreshes(settings.spend, settings, { tokens, cost }, now);
+    if (allowance === 0) return null;
+
+    // A cycle without any limit would run on the server until a tab comes back
+    if (!Number.isFinite(session.refreshesLeft) && allowance === null && stopIn === null && !(settings.hiddenTimeout > 0)) {
+        return null;
+    }
 
-        // Verify we're using a supported API
-        if (!isChatCompletion()) {
-            throw new Error(`Unsupported API for cache refresh: ${mainApi} in refreshCache()`);
-        }
+    return { stopIn, allowance };
+}
 
-        // Temporarily set max tokens to 1 to minimize token usage
-        TempResponseLength.save(mainApi, 1);
-        eventHook = TempResponseLength.setupEventHook(mainApi);
-        debugLog('Temporarily set response length to 1 token');
-        
-        // Send a "quiet" request - this tells SillyTavern not to display the response
-        // We're just refreshing the cache, not generating visible content
-        const data = await sendGenerationRequest('quiet', lastGenerationData);
-        debugLog('Cache refresh response:', data);
+/**
+ * Takes the refresh cycle of a session back from the server plugin, recording what it sent until now
+ * @param {RefreshSession} session - Session whose cycle stopped
+ */
+async function cancelServerCycle(session) {
+    serverRequests.delete(session.chatId);
+    const response = await callServerPlugin('cancel', { chatId: session.chatId }, getRequestHeaders());
+    if (response?.job) {
+        applyServerJob(response.job, Date.now() - response.now);
+    }
+}
 
-        // Show notification for successful refresh
-        showNotification(`Cache refreshed. ${refreshesLeft - 1} refreshes remaining.`, 'success');
+/**
+ * Picks up the refreshes the server plugin sent and mirrors its countdowns
+ * Cycles the plugin doesn't know anymore, e.g. after a server restart, go back to the browser timers.
+ */
+async function syncServerSessions() {
+    if (!serverPlugin || !isRefresher()) return;
 
+    let status = null;
+    try {
+        status = await callServerPlugin('status', { acks: Object.fromEntries(serverAcks) }, getRequestHeaders());
+        serverPlugin = Boolean(status);
+        noteServerOrigin(status);
     } catch (error) {
-        debugLog('Cache refresh failed', error);
-        showNotification(`Cache refresh failed: ${error.message}`, 'error');
-    } finally {
-        // Always restore the original max tokens value
-        if (TempResponseLength.isCustomized()) {
-            TempResponseLength.restore(mainApi);
-            TempResponseLength.removeEventHook(mainApi, eventHook);
-            debugLog('Restored original response length');
+        debugLog('Could not reach the server plugin', error);
+    }
+
+    const offset = status ? Date.now() - status.now : 0;
+    for (const job of status?.jobs ?? []) {
+        applyServerJob(job, offset);
+    }
+
+    for (const session of sessions.values()) {
+        if (session.heldByServer && !status?.jobs.some(job => job.chatId === session.chatId)) {
+            debugLog(`Server plugin doesn't refresh chat ${session.chatId} anymore, refreshing from this tab`);
+            session.heldByServer = false;
+            if (session.nextRefreshTime) {
+                scheduleNextRefresh(session, Math.max(0, session.nextRefreshTime - Date.now()));
+            }
         }
-        
-        // Always clean up, even if there was an error
-        refreshInProgress = false;
-        refreshesLeft--;
-        updateUI();
-        scheduleNextRefresh(); // Schedule the next refresh (or stop if no refreshes left)
     }
+
+    updateUI();
 }
 
 /**
- * Captures generation data for future cache refreshing
- * This is called when a new message is generated to store the prompt for later refreshes
- *
- * @param {Object} data - The generation data from SillyTavern; looks like this '{chat: Array(17), dryRun: true}'
+ * Records the refreshes the server plugin sent for a chat and applies the state of its cycle
+ * Refreshes of chats without a session here, e.g. sent while no tab was open, still go into the history and ledger.
+ * @param {Object} job - Cycle reported by the plugin
+ * @param {number} offset - Difference between the browser's and the server's clock, in milliseconds
  */
-function captureGenerationData(data) {
-    // Don't capture if the extension is disabled
-    if (!settings.enabled) {
-        // Ensure we don't have any stored data if disabled
-        if (lastGenerationData.prompt) {
-            lastGenerationData.prompt = null;
-            debugLog('Extension disabled - cleared stored generation data');
+function applyServerJob(job, offset) {
+    const existing = getSession(job.chatId);
+    const session = existing?.heldByServer ? existing : null;
+    const recipient = existing ?? { chatId: job.chatId, chatName: job.chatName, target: null, refreshesLeft: job.refreshesLeft ?? Infinity };
+
+    let lastOutcome = null;
+    for (const result of job.results) {
+        if (result.seq <= (serverAcks.get(job.chatId) ?? 0)) continue;
+        serverAcks.set(job.chatId, result.seq);
+
+        lastOutcome = toRefreshOutcome(result, offset);
+        if (session) {
+            session.refreshesLeft = job.refreshesLeft ?? Infinity;
+            if (lastOutcome.succeeded) {
+                session.lastActivity = lastOutcome.startedAt + lastOutcome.latency;
+            }
         }
-        return;
+        handleRefreshOutcome(recipient, lastOutcome);
     }
 
-    debugLog('captureGenerationData', data);
-    debugLog('Current API:', mainApi);
+    if (!session) return;
 
-    try {
-        // Only support chat completion APIs for now
-        if (!isChatCompletion()) {
-            debugLog('Cache Refresher: Not a chat completion prompt');
+    if (job.stopReason) {
+        session.heldByServer = false;
+        // The server couldn't reach its own endpoints, which the tab still can, so the cycle goes on here
+        if (lastOutcome?.error?.network) {
+            serverOriginError = lastOutcome.error.message;
+            debugLog(`Server plugin can't send refreshes, refreshing chat ${session.chatId} from this tab`);
+            scheduleNextRefresh(session, 0);
             return;
         }
+        endRefreshCycle(session, lastOutcome?.category === ErrorCategory.AUTH ? AUTH_PAUSE_REASON : job.stopReason);
+        return;
+    }
 
-        // Skip dry runs as they're not actual messages
-        // Dry runs are used for things like token counting and don't represent actual chat messages
-        if (data.dryRun) {
-            debugLog('Cache Refresher: Skipping dry run');
-            return;
-        }
+    // The server can't see the page, so typing, a hidden tab, keep-warm hours and spend limits are checked here
+    const decision = checkRefreshPolicy(session);
+    if (!decision.allow) {
+        endRefreshCycle(session, decision.reason);
+        return;
+    }
 
-        // Store the chat prompt for future refreshes
-        lastGenerationData.prompt = data.chat;
-        debugLog('Captured generation data', lastGenerationData);
-        //Stop refresh cycle on new prompt (work better than GENERATION_STOPPED event)
-        stopRefreshCycle();
+    if (job.nextRefreshTime) {
+        armRefreshTimer(session, Math.max(0, job.nextRefreshTime + offset - Date.now()));
+    }
+    shareSession(session);
+}
+
+/**
+ * Follows whether the server plugin reports that it reaches this server's own endpoints
+ * The plugin checks again after a while, so cycles go back to it once it can.
+ * @param {Object|null} status - Status reported by the plugin
+ */
+function noteServerOrigin(status) {
+    if (!status?.origin) return;
+
+    const error = status.origin.reachable ? null : status.origin.error ?? 'unknown error';
+    if (error !== serverOriginError) {
+        debugLog(error ? `Server plugin can't reach this server, refreshing from this tab: ${error}` : 'Server plugin reaches this server again');
+        serverOriginError = error;
+    }
+}
 
+/**
+ * Checks whether the server plugin is installed and starts following the cycles it holds
+ */
+async function initServerKeepAlive() {
+    try {
+        const status = await callServerPlugin('status', { acks: {} }, getRequestHeaders());
+        serverPlugin = Boolean(status);
+        noteServerOrigin(status);
     } catch (error) {
-        debugLog('Error capturing generation data', error);
+        debugLog('Could not reach the server plugin', error);
+    }
+
+    debugLog(serverPlugin ? 'Server plugin found, it sends the refreshes' : 'Server plugin not installed, refreshing from the browser');
+    updateSettingsPanel();
+
+    if (serverPlugin) {
+        setInterval(syncServerSessions, SERVER_SYNC_INTERVAL);
+    }
+}
+
+/**
+ * Describes whether the server plugin sends the refreshes, for the settings panel
+ * @returns {string} Status of the server keep-alive
+ */
+function describeServerKeepAlive() {
+    if (!serverPlugin) return 'Server plugin not installed, refreshes are sent from this tab';
+    if (!settings.serverKeepAlive) return 'Server plugin installed but not used';
+    if (serverOriginError) return `Server plugin installed but it can't reach this server (${serverOriginError}), refreshes are sent from this tab`;
+
+    const held = [...sessions.values()].filter(session => session.heldByServer).length;
+    return `Server plugin installed, sending the refreshes of ${held} chat${held === 1 ? '' : 's'}`;
+}
+
+/**
+ * Applies the state of a session shared by another tab
+ * The countdown is mirrored without consulting the policy; the refresher tab decides.
+ * @param {Object} state - Shared session state
+ */
+function applySharedSession(state) {
+    if (!state?.chatId || !getSessionSettings(state).enabled) return;
+
+    const session = getSession(state.chatId, true);
+    session.chatName = state.chatName;
+    session.api = state.api;
+    session.request = state.request;
+    session.target = state.target ?? null;
+    session.profileKeys = state.profileKeys ?? null;
+    session.refreshesLeft = state.refreshesLeft;
+    session.cycleStartedAt = state.cycleStartedAt;
+    session.stopReason = state.stopReason;
+    session.lastActivity = state.lastActivity;
+    session.heldByServer = Boolean(state.heldByServer);
+    session.retryAttempt = 0;
+    if (state.prompt) {
+        setSessionPrompt(session, state.prompt, state.breakpoints ?? null);
+    } else {
+        session.prompt = null;
+        session.fingerprint = null;
+    }
+
+    if (session.refreshTimer) {
+        clearTimeout(session.refreshTimer);
+        session.refreshTimer = null;
+    }
+    session.nextRefreshTime = null;
+
+    if (session.prompt && state.nextRefreshTime) {
+        armRefreshTimer(session, Math.max(0, state.nextRefreshTime - Date.now()));
+    }
+
+    debugLog(`Session of chat ${session.chatId} updated by another tab`);
+    updateUI();
+}
+
+/**
+ * Handles a message posted by another tab
+ * @param {Object} message - Message from the broadcast channel
+ */
+function handleTabMessage(message) {
+    switch (message?.type) {
+        case 'session':
+            applySharedSession(message.state);
+            break;
+        case 'hello':
+            // A new tab opened, let it know which chats are kept warm
+            for (const session of sessions.values()) {
+                if (session.prompt) {
+                    shareSession(session);
+                }
+            }
+            break;
+    }
+}
+
+/**
+ * Starts coordinating with the other SillyTavern tabs of this browser
+ */
+function initTabSync() {
+    tabSync = createTabSync({
+        name: 'cache_refresher',
+        onMessage: handleTabMessage,
+        onLeaderChange: (leader) => {
+            debugLog(leader ? 'This tab now sends the refreshes' : 'Another tab now sends the refreshes');
+            updateUI();
+        },
+    });
+    tabSync.post({ type: 'hello' });
+}
+
+/**
+ * Describes the refresh state of a chat for the /cache-status command and the extension API
+ * @param {string|null} chatId - Chat to describe, defaults to the current chat
+ * @returns {Object} Status values
+ */
+function getStatus(chatId = getCurrentChatId()) {
+    const session = getSession(chatId);
+    const active = isSessionActive(session);
+
+    return {
+        chatId,
+        enabled: effective.enabled,
+        active,
+        refreshing: Boolean(session?.refreshInProgress),
+        remaining: active ? formatRefreshesLeft(session.refreshesLeft) : '0',
+        nextRefreshIn: active && session.nextRefreshTime ? Math.max(0, Math.round((session.nextRefreshTime - Date.now()) / 1000)) : null,
+        nextRefreshAt: active && session.nextRefreshTime ? new Date(session.nextRefreshTime).toISOString() : null,
+        stopReason: session?.stopReason ?? null,
+        warmChats: countActiveSessions(),
+    };
+}
+
+/**
+ * Emits an event on SillyTavern's event bus for other extensions
+ * @param {string} eventType - One of refresherEvents
+ * @param {Object} detail - Event payload
+ */
+function emitRefresherEvent(eventType, detail) {
+    eventSource.emit(eventType, detail).catch(error => debugLog(`Listener of ${eventType} failed`, error));
+}
+
+/**
+ * Records that something else reused the cached prompt of a chat, e.g. a quiet generation
+ * of another extension. The provider restarted its TTL, so the pending refresh is pushed back
+ * a full interval instead of paying for one the cache doesn't need yet.
+ * @param {string|null} chatId - Chat whose cache was touched, defaults to the current chat
+ * @returns {boolean} True if the chat has a captured prompt
+ */
+function notifyCacheTouched(chatId = getCurrentChatId()) {
+    const session = getSession(chatId);
+    if (!session?.prompt) return false;
+
+    debugLog(`Cache of chat ${session.chatId} touched from outside`);
+    touchSessionCache(session);
+    return true;
+}
+
+/**
+ * Tracks a generation the user (or another extension) started in the current chat
+ * A refresh of the chat still in flight is aborted, so it can't run side by side with the
+ * generation; the generation sends the same prefix and counts as the cache touch instead.
+ * @param {string} type - Generation type, e.g. 'normal', 'swipe' or 'quiet'
+ * @param {Object} _options - Generation options
+ * @param {boolean} dryRun - Whether the generation only builds the prompt
+ */
+function onGenerationStarted(type, _options, dryRun) {
+    if (dryRun) return;
+
+    generationActive = true;
+    currentGeneration = { type: type || 'normal', chatId: null };
+    // The lorebook entries this generation activates are reported before its prompt is ready
+    activatedLorebook = [];
+
+    const session = getCurrentSession();
+    if (abortRefresh(session)) {
+        debugLog(`${currentGeneration.type} generation started, aborted the refresh of chat ${session.chatId}`);
+        currentGeneration.chatId = session.chatId;
+    }
+
+    // The server plugin can't see generations, so its cycle comes back here and is handed over again once the generation touched the cache
+    if (session?.heldByServer) {
+        debugLog(`${currentGeneration.type} generation started, taking the cycle of chat ${session.chatId} back from the server plugin`);
+        session.heldByServer = false;
+        cancelServerCycle(session).catch(error => debugLog('Could not take the cycle back from the server plugin', error));
+    }
+}
+
+/**
+ * Counts a finished generation as a cache touch of the chat whose prefix it sent
+ * Covers every generation type, including quiet prompts of other extensions, impersonation,
+ * continue and swipes, so refreshes only fire once the cache has really been idle.
+ */
+function onGenerationFinished() {
+    generationActive = false;
+
+    const generation = currentGeneration;
+    currentGeneration = null;
+
+    const session = getSession(generation?.chatId ?? null);
+    if (!session?.prompt || !getSessionSettings(session).enabled) return;
+
+    debugLog(`${generation.type} generation touched the cache of chat ${session.chatId}`);
+    touchSessionCache(session);
+}
+
+/**
+ * Refreshes the cache of a chat now, without using up the budget
+ * @param {string|null} chatId - Chat to refresh, defaults to the current chat
+ * @returns {Promise<boolean>} True if a refresh was sent and succeeded
+ */
+async function requestRefresh(chatId = getCurrentChatId()) {
+    const session = getSession(chatId);
+    if (!session?.prompt || !getSessionSettings(session).enabled || session.refreshInProgress) return false;
+
+    return refreshCache(session, true);
+}
+
+/**
+ * Exposes the extension API to other extensions and scripts as globalThis.CacheRefresher
+ */
+function registerPublicApi() {
+    globalThis.CacheRefresher = Object.freeze({
+        events: Object.freeze({ ...refresherEvents }),
+        notifyCacheTouched,
+        requestRefresh,
+        getState: getStatus,
+    });
+}
+
+/**
+ * Registers the slash commands that control the refresher from Quick Replies and STscript
+ */
+function registerSlashCommands() {
+    const { SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } = SillyTavern.getContext();
+
+    /**
+     * Gets the session of the current chat, warning the user when there is nothing to act on
+     * @returns {RefreshSession|null} Session with a captured prompt, or null
+     */
+    const getCommandSession = () => {
+        const session = getCurrentSession();
+        if (!effective.enabled) {
+            toastr.warning('Cache Refresher is disabled');
+            return null;
+        }
+        if (!session?.prompt) {
+            toastr.warning('No prompt captured for this chat yet, send a message first');
+            return null;
+        }
+        return session;
+    };
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cache-refresh',
+        callback: async () => {
+            const session = getCommandSession();
+            if (session) {
+                await refreshCache(session, true);
+            }
+            return '';
+        },
+        helpString: 'Refreshes the cache of the current chat now. Doesn\'t use up the refresh budget.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cache-stop',
+        callback: () => {
+            const session = getCurrentSession();
+            if (session) {
+                endRefreshCycle(session, USER_STOP_REASON);
+            }
+            return '';
+        },
+        helpString: 'Stops the cache refresh cycle of the current chat.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cache-start',
+        callback: (_, count) => {
+            const session = getCommandSession();
+            if (session) {
+                const budget = count === '' || count === undefined ? getSessionSettings(session).maxRefreshes : Number(count);
+                if (!Number.isInteger(budget) || budget < 0) {
+                    throw new Error('count must be 0 or a positive whole number');
+                }
+                stopRefreshCycle(session);
+                beginRefreshCycle(session, budget);
+            }
+            return '';
+        },
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'number of refreshes (0 for no limit), defaults to Maximum Refreshes',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+            }),
+        ],
+        helpString: 'Starts a cache refresh cycle for the current chat, using its last captured prompt.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cache-status',
+        callback: (args) => {
+            const status = getStatus();
+            if (args.field) {
+                return String(status[args.field] ?? '');
+            }
+            return JSON.stringify(status);
+        },
+        returns: 'refresh status of the current chat as a JSON object, or a single field',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'field',
+                description: 'return only this field',
+                enumList: ['active', 'remaining', 'nextRefreshIn', 'nextRefreshAt', 'stopReason', 'warmChats'],
+            }),
+        ],
+        helpString: 'Returns the refresh status of the current chat: remaining refreshes, seconds until the next refresh and more.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cache-config',
+        callback: async (args) => {
+            const values = {};
+            const ttlOverrides = {};
+
+            if (args.interval !== undefined && args.interval !== '') {
+                const interval = parseFloat(String(args.interval)) * 60 * 1000;
+                if (!(interval > 0)) {
+                    throw new Error('interval must be a positive number of minutes');
+                }
+
+                // The interval of a known source is its TTL minus the margin, so the TTL is overridden
+                const profile = getActiveProfile();
+                if (profile.key === FALLBACK_PROFILE_KEY) {
+                    values.refreshInterval = interval;
+                } else {
+                    ttlOverrides[profile.key] = { ttl: interval + profile.margin };
+                }
+            }
+
+            if (args.max !== undefined && args.max !== '') {
+                const max = Number(args.max);
+                if (!Number.isInteger(max) || max < 0) {
+                    throw new Error('max must be 0 or a positive whole number');
+                }
+                values.maxRefreshes = max;
+            }
+
+            if (Object.keys(values).length || Object.keys(ttlOverrides).length) {
+                await setEffectiveSettings(values, ttlOverrides);
+                updateUI();
+            }
+
+            return JSON.stringify({
+                interval: getRefreshInterval() / (60 * 1000),
+                max: effective.maxRefreshes,
+            });
+        },
+        returns: 'the resulting interval (minutes) and max refreshes as a JSON object',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'interval',
+                description: 'minutes between refreshes for the active source',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'max',
+                description: 'maximum refreshes per cycle (0 for no limit)',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+            }),
+        ],
+        helpString: 'Sets the refresh interval and maximum refreshes. Without arguments, returns the current values.',
+    }));
+
+    debugLog('Slash commands registered');
+}
+
+/**
+ * Tracks the activity signals the refresh policy decides on
+ * Typing in the send textarea, any interaction with the page and the tab visibility
+ */
+function trackActivity() {
+    const onInteraction = () => {
+        activity.lastInteractionAt = Date.now();
+    };
+
+    $(document).on('input', '#send_textarea', () => {
+        // A warm-up builds and counts the whole prompt, so only the first keystroke of a burst tries one
+        const startedTyping = Date.now() - activity.lastTypingAt > typingBurstPause;
+        activity.lastTypingAt = Date.now();
+        onInteraction();
+        resumeCycleOnTyping();
+        if (settings.warmUpOnTyping && startedTyping) {
+            warmUpCurrentChat('you started typing');
+        }
+    });
+
+    for (const eventName of ['keydown', 'pointerdown', 'wheel', 'touchstart']) {
+        document.addEventListener(eventName, onInteraction, { passive: true, capture: true });
     }
+
+    document.addEventListener('visibilitychange', () => {
+        activity.hiddenSince = document.visibilityState === 'hidden' ? Date.now() : null;
+        if (!activity.hiddenSince) {
+            onInteraction();
+            // Catch up with what the server plugin sent while the tab slept
+            syncServerSessions();
+        }
+    });
+    activity.hiddenSince = document.visibilityState === 'hidden' ? Date.now() : null;
 }
 
 /**
@@ -592,45 +2826,102 @@ jQuery(async ($) => {
 
         // Initialize the settings panel with current values
         updateSettingsPanel();
+        updateHistoryPanel();
 
         // Bind event handlers for all interactive elements
         bindSettingsHandlers();
 
+        // Follow what the user is doing for the refresh policy
+        trackActivity();
+
+        // Let Quick Replies and STscript drive the refresher
+        registerSlashCommands();
+
+        // Make sure only one tab refreshes each chat
+        initTabSync();
+
+        // Let the server plugin send the refreshes when it is installed
+        initServerKeepAlive();
+
+        // Let other extensions tell about their own generations and follow the refreshes
+        registerPublicApi();
+
         // Set up event listeners for SillyTavern events
 
         // Listen for chat completion prompts to capture them for refreshing
         eventSource.on(eventTypes.APP_READY, () => {
-            eventSource.on(eventTypes.CHAT_COMPLETION_PROMPT_READY, captureGenerationData);
+            eventSource.on(eventTypes.CHAT_COMPLETION_PROMPT_READY, (data) => {
+                manageCacheBreakpoints(data);
+                captureGenerationData(data);
+            });
+            eventSource.on(eventTypes.GENERATE_AFTER_DATA, captureTextCompletionData);
         });
 
         // Listen for new messages to start the refresh cycle
         // Only start the refresh cycle when a message is received to avoid unnecessary refreshes
         eventSource.on(eventTypes.APP_READY, () => {
             eventSource.on(eventTypes.MESSAGE_RECEIVED, () => {
-                if (settings.enabled && lastGenerationData.prompt) {
+                const session = getCurrentSession();
+                if (effective.enabled && session?.prompt) {
                     debugLog('Message received, starting refresh cycle');
-                    stopRefreshCycle(); // Clear any existing cycle first
-                    refreshesLeft = settings.maxRefreshes;
-                    scheduleNextRefresh();
-                    updateUI();
+                    stopRefreshCycle(session); // Clear any existing cycle first
+                    beginRefreshCycle(session);
                 }
             });
             
-            // Listen for chat changes to stop the refresh cycle
-            // When user switches to a different chat, we don't need to refresh the previous chat anymore
+            // Listen for chat changes to update the UI
+            // Other chats keep their own sessions, so their caches stay warm until their budget runs out
             eventSource.on(eventTypes.CHAT_CHANGED, () => {
-                debugLog('Chat changed, stopping refresh cycle');
-                stopRefreshCycle();
-                lastGenerationData.prompt = null; // Clear the stored prompt
-                refreshesLeft = 0;
+                debugLog('Chat changed, showing session of the new chat');
+                updateEffectiveSettings();
+                updateUI();
+                scheduleWarmUpOnOpen();
+            });
+
+            // Running cycles keep refreshing the source their prompt was captured from, with its TTL profile
+            eventSource.on(eventTypes.CHATCOMPLETION_SOURCE_CHANGED, () => {
+                debugLog('Chat completion source changed, showing its TTL profile');
+                updateSettingsPanel();
+            });
+
+            // Refreshes can't follow a cache to another account, so switching the API key stops them
+            eventSource.on(eventTypes.SECRET_WRITTEN, stopUnreachableSessions);
+            eventSource.on(eventTypes.SECRET_ROTATED, stopUnreachableSessions);
+            eventSource.on(eventTypes.SECRET_DELETED, stopUnreachableSessions);
+
+            // Keep track of real generations, dry runs must not overlap with them
+            // Every generation that sent the cached prefix restarts the provider's TTL
+            eventSource.on(eventTypes.GENERATION_STARTED, onGenerationStarted);
+            eventSource.on(eventTypes.GENERATION_ENDED, onGenerationFinished);
+            eventSource.on(eventTypes.GENERATION_STOPPED, onGenerationFinished);
+
+            // Lorebook entries get a cache breakpoint of their own
+            eventSource.on(eventTypes.WORLD_INFO_ACTIVATED, (entries) => {
+                activatedLorebook = entries.map(entry => entry.content ?? '');
+            });
+
+            // Edits, deletions and swipes can change the prefix the provider has cached
+            eventSource.on(eventTypes.MESSAGE_EDITED, schedulePromptPrefixCheck);
+            eventSource.on(eventTypes.MESSAGE_DELETED, schedulePromptPrefixCheck);
+            eventSource.on(eventTypes.MESSAGE_SWIPED, schedulePromptPrefixCheck);
+
+            // A connection profile can have its own settings profile
+            eventSource.on(eventTypes.CONNECTION_PROFILE_LOADED, () => {
+                updateEffectiveSettings();
                 updateUI();
             });
+
+            // Forget sessions of deleted chats, their caches can never be reused
+            eventSource.on(eventTypes.CHAT_DELETED, removeSession);
+            eventSource.on(eventTypes.GROUP_CHAT_DELETED, removeSession);
         });
 
-        // Make sure we start with clean state if disabled
-        if (!settings.enabled) {
-            lastGenerationData.prompt = null;
-            refreshesLeft = 0;
+        // Pick up the settings profile of whatever is open at startup
+        updateEffectiveSettings();
+
+        // Make sure we start with clean state if disabled, unless only the settings profile of the open chat turned it off
+        if (!effective.enabled && !activeSettingsProfile) {
+            clearAllSessions();
             debugLog('Extension disabled at startup - ensuring clean state');
         }
 
@@ -0,0 +1,579 @@
+/**
+ * Cache Refresher server plugin
+ *
+ * Companion of the Cache Refresher extension. Browsers throttle timers in background tabs and
+ * stop them on a locked phone, so refreshes sent from the page arrive late or not at all. The
+ * extension hands each running cycle to this plugin instead: the refresh request built from the
+ * captured prompt and target model, the interval, the budget, the deadlines of its refresh
+ * policy and keep-warm hours, and the refreshes its spend limits still allow. The plugin sends
+ * the refreshes through SillyTavern's own generation endpoints with the credentials of the user
+ * who handed the cycle over, and keeps their results until the extension picks them up for its
+ * history and ledger.
+ *
+ * Install by copying this folder to SillyTavern's plugins folder and setting
+ * enableServerPlugins: true in config.yaml.
+ */
+
+export const info = {
+    id: 'cache-refresher',
+    name: 'Cache Refresher',
+    description: 'Sends the cache refreshes of the Cache Refresher extension from the server, so they go on while the browser tab is throttled or closed.',
+};
+
+// Version of the API between the extension and the plugin
+const PROTOCOL_VERSION = 1;
+
+// Error classification of src/errors.js, copied since the plugin is installed apart from the extension
+const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504, 520, 522, 524, 529];
+const AUTH_STATUSES = [401, 402, 403];
+const RETRYABLE_PATTERN = /overload|rate.?limit|too many requests|timed? ?out|temporar|unavailable|bad gateway|try again|capacity|ECONNRESET|ECONNREFUSED|ETIMEDOUT|network|failed to fetch/i;
+const AUTH_PATTERN = /quota|insufficient|credit|billing|balance|payment required|api.?key|unauthori[sz]ed|forbidden|permission|authentication/i;
+
+// Retry backoff of src/errors.js: the first delay, the shortest one worth scheduling, and the margin before the TTL runs out
+const RETRY_BASE_DELAY = 5 * 1000;
+const RETRY_MIN_DELAY = 1000;
+const RETRY_SAFETY_MARGIN = 5 * 1000;
+
+// Results kept per job until the extension acknowledges them
+const MAX_RESULTS = 50;
+
+// Request headers that authenticate the user who handed a cycle over
+const FORWARDED_HEADERS = ['cookie', 'authorization', 'x-csrf-token'];
+
+// Only generation endpoints can be refreshed through the plugin
+const ENDPOINT_PATTERN = /^\/api\/backends\/[\w-]+\/generate$/;
+
+// How long the check whether the plugin reaches this server waits for an answer, in milliseconds
+const ORIGIN_PROBE_TIMEOUT = 5 * 1000;
+
+// How long a failed check holds before this server is checked again, in milliseconds
+const ORIGIN_RECHECK_DELAY = 60 * 1000;
+
+/**
+ * Result of a refresh sent by the plugin
+ * @typedef {Object} RefreshResult
+ * @property {number} seq - Increasing number the extension acknowledges results by
+ * @property {number} startedAt - Timestamp the refresh started at
+ * @property {number} latency - Time the request took, in milliseconds
+ * @property {boolean} succeeded - Whether the provider accepted the refresh
+ * @property {string} model - Model the request was sent to
+ * @property {any} data - Response data of a successful refresh
+ * @property {{message: string, status: number|null, type: string, quota: boolean, network: boolean}|null} error - Error of a failed refresh
+ * @property {number|null} retryDelay - Delay of the retry after a transient error, null if none was scheduled
+ */
+
+/**
+ * A refresh cycle handed over by the extension
+ * @typedef {Object} KeepAliveJob
+ * @property {string} chatId - Chat the cycle keeps warm
+ * @property {string} chatName - Display name of the chat
+ * @property {string} url - Generation endpoint of this server
+ * @property {Object} payload - Refresh request payload
+ * @property {Object} headers - Headers authenticating the user
+ * @property {number} interval - Delay between refreshes, in milliseconds
+ * @property {number} ttl - Lifetime of the cache after each refresh, in milliseconds
+ * @property {number} expiresAt - Timestamp the cache expires at unless it is refreshed
+ * @property {number|null} refreshesLeft - Remaining budget, null for no limit
+ * @property {number|null} allowance - Refreshes the spend limits still allow, null if no limit is set
+ * @property {number|null} stopAt - Timestamp the refresh policy ends the cycle at, null if it sets none
+ * @property {number} unattendedTimeout - Stop after no tab checked in for this long, 0 to disable
+ * @property {number} lastSeenAt - Timestamp a tab last checked in
+ * @property {number|null} nextRefreshTime - Timestamp of the next refresh, null once stopped
+ * @property {boolean} refreshInProgress - Whether a refresh is in flight
+ * @property {number} retryAttempt - Retries made since the last successful refresh
+ * @property {string|null} stopReason - Why the cycle ended, null while it runs
+ * @property {boolean} stopReported - Whether the extension was told the cycle ended
+ * @property {RefreshResult[]} results - Results not yet acknowledged
+ * @property {any} timer - Timer of the next refresh
+ */
+
+/**
+ * Sends a refresh request to a generation endpoint of this server
+ * Mirrors sendRefreshRequest of the extension, which isn't reachable from the server.
+ * @param {KeepAliveJob} job - Job to send the refresh of
+ * @returns {Promise<Object>} Response data from the API
+ * @throws {Error & {status?: number, type?: string, quota?: boolean, network?: boolean}} If the request failed, or the backend or the provider reported an error
+ */
+async function sendRefresh(job) {
+    const response = await fetch(job.url, {
+        method: 'POST',
+        headers: { ...job.headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify(job.payload),
+    }).catch(error => {
+        throw Object.assign(new Error(`Network error: ${error.cause?.message ?? error.message}`), { network: true });
+    });
+
+    if (!response.ok) {
+        const text = await response.text();
+        let body = null;
+        try {
+            body = JSON.parse(text);
+        } catch {
+            body = { error: { message: text.slice(0, 200) } };
+        }
+        const message = body?.error?.message ?? body?.message ?? '';
+        throw Object.assign(new Error(`Got response status ${response.status}${message ? `: ${message}` : ''}`), {
+            status: response.status,
+            type: body?.error?.type ?? '',
+            quota: Boolean(body?.quota_error),
+        });
+    }
+
+    const data = await response.json();
+    if (data?.error) {
+        throw Object.assign(new Error(data.error.message || 'API returned an error'), {
+            type: data.error.type ?? '',
+            quota: Boolean(data.quota_error),
+        });
+    }
+
+    return data;
+}
+
+/**
+ * Checks whether a failed refresh is worth retrying, like classifyRefreshError of the extension
+ * Auth and quota errors are checked first because providers report an exhausted quota with
+ * 429, the same status as a transient rate limit.
+ * @param {Error & {status?: number, type?: string, quota?: boolean}} error - Error of the refresh
+ * @returns {boolean} True for rate limits, overloads and server errors
+ */
+export function isRetryable(error) {
+    const status = error.status ?? 0;
+    const text = `${error.type ?? ''} ${error.message ?? ''}`;
+
+    if (error.quota || AUTH_STATUSES.includes(status) || AUTH_PATTERN.test(text)) return false;
+    return RETRYABLE_STATUSES.includes(status) || RETRYABLE_PATTERN.test(text);
+}
+
+/**
+ * Gets the delay before retrying a failed refresh, like getRetryDelay of the extension
+ * @param {number} attempt - Number of retries already made, 0 for the first retry
+ * @param {number} timeLeft - Time until the cache expires, in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if the cache expires before a retry could land
+ */
+function getRetryDelay(attempt, timeLeft) {
+    const latest = timeLeft - RETRY_SAFETY_MARGIN;
+    if (latest < RETRY_MIN_DELAY) return null;
+
+    return Math.min(RETRY_BASE_DELAY * 2 ** attempt, latest);
+}
+
+/**
+ * Creates the registry of handed over cycles and their timers
+ * @param {Object} [options] - Dependencies
+ * @param {(job: KeepAliveJob) => Promise<Object>} [options.send] - Sends a refresh request, throwing on errors
+ * @param {(message: string) => void} [options.log] - Logger
+ * @returns {Object} Functions to schedule, cancel and report cycles
+ */
+export function createKeepAlive({ send = sendRefresh, log = () => {} } = {}) {
+    /** @type {Map<string, KeepAliveJob>} */
+    const jobs = new Map(); // Jobs keyed by user handle and chat ID
+    let seq = 0;
+
+    const getKey = (owner, chatId) => `${owner}:${chatId}`;
+
+    /**
+     * Ends a job, keeping its results until they are acknowledged
+     * @param {KeepAliveJob} job - Job to stop
+     * @param {string} reason - Why it stopped
+     */
+    function stopJob(job, reason) {
+        clearTimeout(job.timer);
+        job.timer = null;
+        job.nextRefreshTime = null;
+        job.stopReason = reason;
+        log(`Stopped refreshing chat ${job.chatId}: ${reason}`);
+    }
+
+    /**
+     * Sets the timer of the next refresh of a job
+     * @param {KeepAliveJob} job - Job to arm
+     * @param {number} delay - Delay before the refresh in milliseconds
+     */
+    function armJob(job, delay) {
+        clearTimeout(job.timer);
+        job.nextRefreshTime = Date.now() + delay;
+        job.timer = setTimeout(() => {
+            job.timer = null;
+            refreshJob(job);
+        }, delay);
+    }
+
+    /**
+     * Sends the refresh of a job and schedules the next one
+     * @param {KeepAliveJob} job - Job to refresh
+     */
+    async function refreshJob(job) {
+        const now = Date.now();
+        if (job.stopAt !== null && now >= job.stopAt) {
+            stopJob(job, 'keep-warm duration reached');
+            return;
+        }
+        if (job.unattendedTimeout > 0 && now - job.lastSeenAt >= job.unattendedTimeout) {
+            stopJob(job, 'tab hidden too long');
+            return;
+        }
+        if (job.allowance !== null && job.allowance <= 0) {
+            stopJob(job, 'spend limit reached');
+            return;
+        }
+
+        /** @type {RefreshResult} */
+        const result = {
+            seq: ++seq,
+            startedAt: now,
+            latency: 0,
+            succeeded: false,
+            model: job.payload.model ?? '',
+            data: null,
+            error: null,
+            retryDelay: null,
+        };
+
+        let failReason = null;
+        job.refreshInProgress = true;
+        try {
+            result.data = await send(job);
+            result.succeeded = true;
+        } catch (error) {
+            result.error = { message: error.message, status: error.status ?? null, type: error.type ?? '', quota: Boolean(error.quota), network: Boolean(error.network) };
+            failReason = `refresh failed: ${error.message}`;
+            // Without a connection to this server, the extension takes the cycle back while the cache is still warm
+            if (!error.network && isRetryable(error)) {
+                result.retryDelay = getRetryDelay(job.retryAttempt, job.expiresAt - Date.now());
+                if (result.retryDelay === null) {
+                    failReason = 'cache expired while retrying';
+                } else {
+                    job.retryAttempt++;
+                }
+            }
+        } finally {
+            job.refreshInProgress = false;
+            result.latency = Date.now() - result.startedAt;
+        }
+
+        job.results.push(result);
+        job.results.splice(0, Math.max(0, job.results.length - MAX_RESULTS));
+
+        // The job may have been cancelled or replaced while the request was in flight
+        if (job.stopReason !== null) return;
+
+        if (!result.succeeded) {
+            if (result.retryDelay !== null) {
+                armJob(job, result.retryDelay);
+            } else {
+                stopJob(job, failReason);
+            }
+            return;
+        }
+
+        job.retryAttempt = 0;
+        job.expiresAt = Date.now() + job.ttl;
+        if (job.allowance !== null) {
+            job.allowance--;
+        }
+        if (job.refreshesLeft !== null && --job.refreshesLeft <= 0) {
+            stopJob(job, 'refresh budget used up');
+            return;
+        }
+        armJob(job, job.interval);
+    }
+
+    /**
+     * Takes over the refresh cycle of a chat, replacing the one handed over before
+     * @param {string} owner - Handle of the user
+     * @param {Object} spec - The cycle, as sent by the extension
+     * @param {string} spec.chatId - Chat the cycle keeps warm
+     * @param {string} spec.chatName - Display name of the chat
+     * @param {string} spec.url - Generation endpoint of this server
+     * @param {Object} spec.payload - Refresh request payload
+     * @param {Object} spec.headers - Headers authenticating the user
+     * @param {number} spec.delay - Delay before the first refresh, in milliseconds
+     * @param {number} spec.interval - Delay between refreshes, in milliseconds
+     * @param {number} spec.ttl - Lifetime of the cache after each refresh, in milliseconds
+     * @param {number} spec.expiresIn - Time until the cache expires unless it is refreshed, in milliseconds
+     * @param {number|null} spec.refreshesLeft - Remaining budget, null for no limit
+     * @param {number|null} spec.allowance - Refreshes the spend limits still allow, null if no limit is set
+     * @param {number|null} spec.stopIn - Time until the refresh policy ends the cycle, null if it sets none
+     * @param {number} spec.unattendedTimeout - Stop after no tab checked in for this long, 0 to disable
+     * @returns {KeepAliveJob} The new job
+     */
+    function schedule(owner, spec) {
+        const key = getKey(owner, spec.chatId);
+        const previous = jobs.get(key);
+        if (previous) {
+            stopJob(previous, 'replaced');
+        }
+
+        const now = Date.now();
+        /** @type {KeepAliveJob} */
+        const job = {
+            chatId: spec.chatId,
+            chatName: spec.chatName,
+            url: spec.url,
+            payload: spec.payload,
+            headers: spec.headers,
+            interval: spec.interval,
+            ttl: spec.ttl,
+            expiresAt: now + spec.expiresIn,
+            refreshesLeft: spec.refreshesLeft,
+            allowance: spec.allowance ?? null,
+            stopAt: spec.stopIn === null ? null : now + spec.stopIn,
+            unattendedTimeout: spec.unattendedTimeout,
+            lastSeenAt: now,
+            nextRefreshTime: null,
+            refreshInProgress: false,
+            retryAttempt: 0,
+            stopReason: null,
+            stopReported: false,
+            results: previous?.results ?? [],
+            timer: null,
+        };
+        jobs.set(key, job);
+        armJob(job, spec.delay);
+
+        log(`Refreshing chat ${job.chatId} in ${spec.delay / 1000} seconds`);
+        return job;
+    }
+
+    /**
+     * Moves the schedule of a running cycle, keeping the refresh request handed over before
+     * Spares the extension from uploading the whole prompt again when only the countdown changed.
+     * @param {string} owner - Handle of the user
+     * @param {Object} spec - The cycle, like for schedule but without url and payload
+     * @returns {KeepAliveJob|null} The new job, null if the chat has no running cycle whose request can be kept
+     */
+    function reschedule(owner, spec) {
+        const job = jobs.get(getKey(owner, spec.chatId));
+        if (!job || job.stopReason !== null) return null;
+
+        return schedule(owner, { ...spec, url: job.url, payload: job.payload });
+    }
+
+    /**
+     * Gives the refresh cycle of a chat back to the extension
+     * @param {string} owner - Handle of the user
+     * @param {string} chatId - Chat to stop refreshing
+     * @returns {KeepAliveJob|null} The removed job with its unacknowledged results, null if there was none
+     */
+    function cancel(owner, chatId) {
+        const key = getKey(owner, chatId);
+        const job = jobs.get(key);
+        if (!job) return null;
+
+        if (job.stopReason === null) {
+            stopJob(job, 'cancelled');
+        }
+        jobs.delete(key);
+        return job;
+    }
+
+    /**
+     * Reports the jobs of a user and drops the results the extension has recorded
+     * Reporting counts as a tab checking in, which keeps unattended timeouts from firing.
+     * @param {string} owner - Handle of the user
+     * @param {Record<string, number>} acks - Sequence number of the last recorded result, by chat ID
+     * @returns {KeepAliveJob[]} Jobs of the user
+     */
+    function list(owner, acks = {}) {
+        const now = Date.now();
+        const owned = [];
+
+        for (const [key, job] of jobs) {
+            if (key !== getKey(owner, job.chatId)) continue;
+
+            const ack = Number(acks[job.chatId]) || 0;
+            job.results = job.results.filter(result => result.seq > ack);
+            job.lastSeenAt = now;
+
+            // Stopped jobs are only kept until the extension has seen how they ended
+            if (job.stopReason !== null && !job.results.length) {
+                if (job.stopReported) {
+                    jobs.delete(key);
+                    continue;
+                }
+                job.stopReported = true;
+            }
+            owned.push(job);
+        }
+
+        return owned;
+    }
+
+    /**
+     * Stops every job, e.g. when the server shuts down
+     */
+    function stopAll() {
+        for (const job of jobs.values()) {
+            if (job.stopReason === null) {
+                stopJob(job, 'server stopped');
+            }
+        }
+        jobs.clear();
+    }
+
+    return { schedule, reschedule, cancel, list, stopAll };
+}
+
+/**
+ * Describes a job for the extension, without the credentials it holds
+ * @param {KeepAliveJob} job - Job to describe
+ * @returns {Object} Status of the job
+ */
+function describeJob(job) {
+    return {
+        chatId: job.chatId,
+        chatName: job.chatName,
+        refreshesLeft: job.refreshesLeft,
+        nextRefreshTime: job.nextRefreshTime,
+        refreshInProgress: job.refreshInProgress,
+        stopReason: job.stopReason,
+        results: job.results,
+    };
+}
+
+/**
+ * Gets the address the plugin reaches this server's own endpoints at
+ * Requests go over the loopback interface, so whitelists and host checks let them through.
+ * @param {import('express').Request} request - Request of the extension
+ * @returns {string} Origin of this server
+ */
+function getServerOrigin(request) {
+    const address = request.socket.localAddress ?? '';
+    const host = address.includes(':') && !address.startsWith('::ffff:') ? '[::1]' : '127.0.0.1';
+    return `${request.protocol}://${host}:${request.socket.localPort}`;
+}
+
+/**
+ * Checks whether the plugin reaches this server's own endpoints at the loopback origin
+ * A self-signed certificate or a server bound to another interface make every refresh fail,
+ * so the extension keeps its cycles while the check fails. The plugin only learns the protocol
+ * and port from a request, so the first request of the extension starts the check. A success
+ * holds until a refresh fails on a network error; a failure, e.g. while SillyTavern is still
+ * starting, is checked again after ORIGIN_RECHECK_DELAY.
+ * @param {import('express').Request} request - Request of the extension
+ * @returns {Promise<{reachable: boolean, error: string|null}>} Whether this server answered, and why not
+ */
+function probeServerOrigin(request) {
+    if (originProbe && originProbe.expiresAt <= Date.now()) {
+        originProbe = null;
+    }
+    if (!originProbe) {
+        const origin = getServerOrigin(request);
+        const probe = { expiresAt: Infinity, result: null };
+        probe.result = fetch(`${origin}/`, { method: 'HEAD', signal: AbortSignal.timeout(ORIGIN_PROBE_TIMEOUT) })
+            .then(() => ({ reachable: true, error: null }))
+            .catch(error => {
+                const reason = error.cause?.message ?? error.message;
+                console.warn(`[Cache Refresher] Can't reach this server at ${origin}, refreshes stay in the browser: ${reason}`);
+                probe.expiresAt = Date.now() + ORIGIN_RECHECK_DELAY;
+                return { reachable: false, error: reason };
+            });
+        originProbe = probe;
+    }
+    return originProbe.result;
+}
+
+/**
+ * Sends a refresh, noting when it failed because this server couldn't be reached
+ * @param {KeepAliveJob} job - Job to send the refresh of
+ * @returns {Promise<Object>} Response data from the API
+ */
+async function sendRefreshChecked(job) {
+    try {
+        return await sendRefresh(job);
+    } catch (error) {
+        if (error.network) {
+            originProbe = { expiresAt: Date.now() + ORIGIN_RECHECK_DELAY, result: Promise.resolve({ reachable: false, error: error.message }) };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Reads the schedule of a cycle from a request of the extension
+ * @param {import('express').Request} request - Request of the extension
+ * @returns {Object} Schedule and credentials of the cycle, for schedule and reschedule
+ */
+function parseSchedule(request) {
+    const body = request.body ?? {};
+    return {
+        chatId: body.chatId,
+        chatName: String(body.chatName ?? ''),
+        headers: Object.fromEntries(FORWARDED_HEADERS.filter(name => request.headers[name]).map(name => [name, request.headers[name]])),
+        delay: Math.max(0, Number(body.delay) || 0),
+        interval: Math.max(1000, Number(body.interval) || 0),
+        ttl: Math.max(0, Number(body.ttl) || 0),
+        expiresIn: Math.max(0, Number(body.expiresIn) || 0),
+        refreshesLeft: Number.isFinite(body.refreshesLeft) ? body.refreshesLeft : null,
+        allowance: Number.isFinite(body.allowance) ? Math.max(0, body.allowance) : null,
+        stopIn: Number.isFinite(body.stopIn) ? Math.max(0, body.stopIn) : null,
+        unattendedTimeout: Math.max(0, Number(body.unattendedTimeout) || 0),
+    };
+}
+
+/**
+ * Gets the handle of the user a request comes from
+ * @param {import('express').Request} request - Request of the extension
+ * @returns {string} User handle
+ */
+function getOwner(request) {
+    return request.user?.profile?.handle ?? 'default-user';
+}
+
+let keepAlive = null;
+let originProbe = null; // Last check whether the plugin reaches this server, with the time it expires at
+
+/**
+ * Registers the routes the extension talks to
+ * @param {import('express').Router} router - Router mounted at /api/plugins/cache-refresher
+ */
+export async function init(router) {
+    keepAlive = createKeepAlive({ send: sendRefreshChecked, log: message => console.log(`[Cache Refresher] ${message}`) });
+
+    router.post('/status', async (request, response) => {
+        const origin = await probeServerOrigin(request);
+        const jobs = keepAlive.list(getOwner(request), request.body?.acks ?? {});
+        response.json({ version: PROTOCOL_VERSION, now: Date.now(), origin, jobs: jobs.map(describeJob) });
+    });
+
+    router.post('/schedule', async (request, response) => {
+        const body = request.body ?? {};
+        if (typeof body.chatId !== 'string' || !ENDPOINT_PATTERN.test(body.endpoint ?? '') || typeof body.payload !== 'object') {
+            return response.status(400).json({ error: { message: 'Invalid refresh cycle' } });
+        }
+
+        const origin = await probeServerOrigin(request);
+        if (!origin.reachable) {
+            return response.status(503).json({ error: { message: `The plugin can't reach this server: ${origin.error}` } });
+        }
+
+        const job = keepAlive.schedule(getOwner(request), {
+            ...parseSchedule(request),
+            url: `${getServerOrigin(request)}${body.endpoint}`,
+            payload: body.payload,
+        });
+        response.json({ version: PROTOCOL_VERSION, now: Date.now(), job: describeJob(job) });
+    });
+
+    router.post('/reschedule', (request, response) => {
+        if (typeof request.body?.chatId !== 'string') {
+            return response.status(400).json({ error: { message: 'Invalid refresh cycle' } });
+        }
+
+        const job = keepAlive.reschedule(getOwner(request), parseSchedule(request));
+        response.json({ version: PROTOCOL_VERSION, now: Date.now(), job: job ? describeJob(job) : null });
+    });
+
+    router.post('/cancel', (request, response) => {
+        const job = keepAlive.cancel(getOwner(request), String(request.body?.chatId ?? ''));
+        response.json({ version: PROTOCOL_VERSION, now: Date.now(), job: job ? describeJob(job) : null });
+    });
+}
+
+/**
+ * Stops every timer when the server shuts down
+ */
+export async function exit() {
+    keepAlive?.stopAll();
+}
@@ -0,0 +1,122 @@
+/**
+ * Adaptive refresh interval tuning
+ *
+ * A refresh that reports no cached tokens is a cache miss: the interval was longer than the
+ * provider's real TTL (or the prefix changed). After a miss the interval is shortened and the
+ * interval that missed is remembered as a ceiling. After enough consecutive hits the interval
+ * is cautiously lengthened again, but never up to a known ceiling. Once the interval sits just
+ * below the ceiling and keeps hitting, the provider's TTL is considered learned.
+ */
+
+/**
+ * @typedef {Object} AdaptiveState
+ * @property {number|null} interval - Tuned refresh interval in milliseconds, null until the first outcome
+ * @property {number|null} ceiling - Shortest interval that produced a miss, in milliseconds
+ * @property {number} hits - Total number of refreshes that read the cache
+ * @property {number} misses - Total number of refreshes that found no cache
+ * @property {number} consecutiveHits - Hits since the last miss or interval change
+ * @property {boolean} learned - Whether the interval has settled just below the ceiling
+ */
+
+/**
+ * @typedef {Object} AdaptiveBounds
+ * @property {number} min - Shortest allowed interval in milliseconds
+ * @property {number} max - Longest allowed interval in milliseconds
+ */
+
+// Factor applied to the interval after a miss
+const SHRINK_FACTOR = 0.8;
+// Factor applied to the interval after enough consecutive hits
+const GROW_FACTOR = 1.1;
+// Number of consecutive hits required before the interval is lengthened
+const HITS_TO_GROW = 3;
+// Fraction of the ceiling the interval may grow up to
+const CEILING_MARGIN = 0.95;
+
+/**
+ * Creates the state of a source that hasn't reported any outcome yet
+ * @returns {AdaptiveState} Fresh adaptive state
+ */
+export function createAdaptiveState() {
+    return {
+        interval: null,
+        ceiling: null,
+        hits: 0,
+        misses: 0,
+        consecutiveHits: 0,
+        learned: false,
+    };
+}
+
+/**
+ * Clamps an interval to the user-set bounds
+ * @param {number} interval - Interval in milliseconds
+ * @param {AdaptiveBounds} bounds - Allowed range
+ * @returns {number} Clamped interval
+ */
+function clampInterval(interval, bounds) {
+    return Math.round(Math.min(bounds.max, Math.max(bounds.min, interval)));
+}
+
+/**
+ * Gets the interval to schedule with
+ * @param {AdaptiveState|undefined} state - Adaptive state of the source
+ * @param {number} baseInterval - Interval of the TTL profile, used until the state has one
+ * @param {AdaptiveBounds} bounds - Allowed range
+ * @returns {number} Refresh interval in milliseconds
+ */
+export function getAdaptiveInterval(state, baseInterval, bounds) {
+    return clampInterval(state?.interval ?? baseInterval, bounds);
+}
+
+/**
+ * Checks whether a refresh found the cache
+ * @param {import('./ledger.js').Usage} usage - Usage of the refresh
+ * @returns {boolean|null} True for a hit, false for a miss, null if the usage doesn't tell
+ */
+export function isCacheHit(usage) {
+    if (!usage || usage.promptTokens <= 0) return null;
+    return usage.cachedTokens > 0;
+}
+
+/**
+ * Updates the adaptive state with the outcome of a refresh
+ * @param {AdaptiveState} state - State to update in place
+ * @param {boolean} hit - Whether the refresh read the cache
+ * @param {number} baseInterval - Interval of the TTL profile
+ * @param {AdaptiveBounds} bounds - Allowed range
+ * @returns {AdaptiveState} The updated state
+ */
+export function applyRefreshOutcome(state, hit, baseInterval, bounds) {
+    const current = getAdaptiveInterval(state, baseInterval, bounds);
+
+    if (!hit) {
+        state.misses++;
+        state.consecutiveHits = 0;
+        state.learned = false;
+        state.ceiling = state.ceiling ? Math.min(state.ceiling, current) : current;
+        state.interval = clampInterval(current * SHRINK_FACTOR, bounds);
+        return state;
+    }
+
+    state.hits++;
+    state.consecutiveHits++;
+    state.interval = current;
+
+    if (state.consecutiveHits < HITS_TO_GROW) {
+        return state;
+    }
+
+    const limit = state.ceiling ? Math.min(bounds.max, state.ceiling * CEILING_MARGIN) : bounds.max;
+    const grown = clampInterval(Math.min(current * GROW_FACTOR, limit), bounds);
+
+    if (grown > current) {
+        state.interval = grown;
+        state.consecutiveHits = 0;
+    } else if (state.ceiling) {
+        // Can't grow any further without reaching the interval that missed before
+        state.learned = true;
+    }
+
+    return state;
+}
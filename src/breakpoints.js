@@ -0,0 +1,127 @@
+/**
+ * Cache breakpoints
+ *
+ * Anthropic models only cache a prompt up to the cache_control markers it carries, and only
+ * read the cache back when the prompt repeats that prefix exactly. When the extension manages
+ * the markers, they go where the prompt stays stable the longest: after the system prompt and
+ * character definitions, after the lorebook entries that follow them, and at a depth in the
+ * chat history, so a changed lorebook entry or a new message only costs the part after the
+ * last breakpoint that still matches.
+ */
+
+import { countLeadingSystemMessages, findBreakpointAtDepth, hasCacheMarker } from './fingerprint.js';
+
+// Maximum number of cache_control markers Anthropic accepts in one request
+export const MAX_BREAKPOINTS = 4;
+
+// Chat completion sources that pass markers set by the extension through to the provider
+// SillyTavern rebuilds the messages of direct Claude connections and places its own markers there.
+export const BREAKPOINT_SOURCES = ['openrouter', 'custom'];
+
+/**
+ * Segments of the prompt a breakpoint can end, in the order the slots are filled
+ * @readonly
+ * @enum {string}
+ */
+export const CacheSegment = Object.freeze({
+    HISTORY: 'history',
+    DEFINITIONS: 'definitions',
+    LOREBOOK: 'lorebook',
+    PREVIOUS_TURN: 'previous turn',
+});
+
+/**
+ * @typedef {Object} CacheBreakpoint
+ * @property {CacheSegment} segment - Segment of the prompt the breakpoint ends
+ * @property {number} end - Number of messages up to and including the breakpoint
+ */
+
+/**
+ * Checks whether markers set by the extension reach the provider of a connection
+ * @param {string|null} source - Chat completion source
+ * @param {string} model - Model of the connection
+ * @returns {boolean} True if breakpoints can be managed for the connection
+ */
+export function supportsCacheBreakpoints(source, model) {
+    return BREAKPOINT_SOURCES.includes(source) && /claude/i.test(model ?? '');
+}
+
+/**
+ * Gets the text of a message
+ * @param {any} message - Chat completion message
+ * @returns {string} Content of the message, its text parts joined for multipart content
+ */
+function getMessageText(message) {
+    if (Array.isArray(message?.content)) {
+        return message.content.filter(part => part?.type === 'text').map(part => part.text).join('\n');
+    }
+    return typeof message?.content === 'string' ? message.content : '';
+}
+
+/**
+ * Finds the breakpoints for a prompt, most valuable first
+ * The definitions are the system messages the prompt starts with, up to the first one holding an
+ * activated lorebook entry; the lorebook segment ends after the last of those. The history
+ * breakpoints sit at the cache depth and two role switches before it, like cachingAtDepth places
+ * them, so the next message still finds the cache the previous one wrote.
+ * @param {Array} prompt - Chat completion messages
+ * @param {Object} options - Where to place the breakpoints
+ * @param {string[]} options.lorebook - Content of the lorebook entries activated for the prompt
+ * @param {number} options.depth - Cache depth, in role switches from the end
+ * @param {number} options.limit - Maximum number of breakpoints
+ * @returns {CacheBreakpoint[]} Breakpoints, at most limit and one per message
+ */
+export function findCacheBreakpoints(prompt, { lorebook, depth, limit }) {
+    const leadingSystem = countLeadingSystemMessages(prompt);
+    const entries = lorebook.map(entry => entry.trim()).filter(Boolean);
+    const loreMessages = [];
+    for (let i = 0; i < leadingSystem; i++) {
+        const text = getMessageText(prompt[i]);
+        if (entries.some(entry => text.includes(entry))) {
+            loreMessages.push(i);
+        }
+    }
+
+    const history = findBreakpointAtDepth(prompt, depth);
+    const candidates = [
+        { segment: CacheSegment.HISTORY, end: history > leadingSystem ? history : 0 },
+        { segment: CacheSegment.DEFINITIONS, end: loreMessages.length ? loreMessages[0] : leadingSystem },
+        { segment: CacheSegment.LOREBOOK, end: loreMessages.length ? loreMessages.at(-1) + 1 : 0 },
+        { segment: CacheSegment.PREVIOUS_TURN, end: history > leadingSystem ? findBreakpointAtDepth(prompt, depth + 2) : 0 },
+    ];
+
+    const breakpoints = [];
+    for (const candidate of candidates) {
+        if (breakpoints.length >= limit) break;
+        if (candidate.end <= 0 || !getMessageText(prompt[candidate.end - 1])) continue;
+        if (breakpoints.some(breakpoint => breakpoint.end === candidate.end)) continue;
+        breakpoints.push(candidate);
+    }
+    return breakpoints;
+}
+
+/**
+ * Places cache breakpoints in a prompt, marking the last text of each breakpoint's message
+ * Markers already in the prompt, e.g. from another extension, count towards the maximum.
+ * @param {Array} prompt - Chat completion messages, modified in place
+ * @param {Object} options - Where to place the breakpoints, see findCacheBreakpoints
+ * @param {string[]} options.lorebook - Content of the lorebook entries activated for the prompt
+ * @param {number} options.depth - Cache depth, in role switches from the end
+ * @param {number} options.limit - Maximum number of breakpoints in the prompt
+ * @returns {CacheBreakpoint[]} The breakpoints placed
+ */
+export function placeCacheBreakpoints(prompt, { lorebook, depth, limit }) {
+    const existing = prompt.filter(hasCacheMarker).length;
+    const available = Math.min(limit, MAX_BREAKPOINTS) - existing;
+    if (available <= 0) return [];
+
+    const breakpoints = findCacheBreakpoints(prompt, { lorebook, depth, limit: available });
+    for (const { end } of breakpoints) {
+        const message = prompt[end - 1];
+        if (typeof message.content === 'string') {
+            message.content = [{ type: 'text', text: message.content }];
+        }
+        message.content.findLast(part => part?.type === 'text').cache_control = { type: 'ephemeral' };
+    }
+    return breakpoints.sort((a, b) => a.end - b.end);
+}
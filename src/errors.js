@@ -0,0 +1,90 @@
+/**
+ * Refresh error classification
+ *
+ * SillyTavern's backend doesn't forward provider status codes consistently: some sources
+ * answer 500 with the provider's error body, others answer 200 with only the status text as
+ * the message. Errors are therefore classified from the status, the provider's error type
+ * and the message together. Transient errors are retried with exponential backoff, auth and
+ * quota errors need the user to act, and anything else won't get better by retrying.
+ */
+
+/** @enum {string} */
+export const ErrorCategory = {
+    RETRYABLE: 'retryable',
+    AUTH: 'auth',
+    FATAL: 'fatal',
+};
+
+/**
+ * Error of a refresh request, carrying what the backend told about the failure
+ */
+export class RefreshError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [details] - What the backend reported
+     * @param {number} [details.status] - HTTP status of the response, 0 if there was none
+     * @param {string} [details.type] - Provider error type, e.g. overloaded_error
+     * @param {boolean} [details.quota] - Whether the backend flagged the error as a quota error
+     * @param {boolean} [details.network] - Whether the request never got an answer, e.g. the connection failed
+     */
+    constructor(message, { status = 0, type = '', quota = false, network = false } = {}) {
+        super(message);
+        this.name = 'RefreshError';
+        this.status = status;
+        this.type = type;
+        this.quota = quota;
+        this.network = network;
+    }
+}
+
+// Statuses that mean the request should work when sent again later
+const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504, 520, 522, 524, 529];
+// Statuses that mean the key is invalid, lacks permission or is out of credit
+const AUTH_STATUSES = [401, 402, 403];
+
+const RETRYABLE_PATTERN = /overload|rate.?limit|too many requests|timed? ?out|temporar|unavailable|bad gateway|try again|capacity|ECONNRESET|ECONNREFUSED|ETIMEDOUT|network|failed to fetch/i;
+const AUTH_PATTERN = /quota|insufficient|credit|billing|balance|payment required|api.?key|unauthori[sz]ed|forbidden|permission|authentication/i;
+
+// Delay of the first retry, doubled for each further attempt
+const RETRY_BASE_DELAY = 5 * 1000;
+// Shortest delay worth scheduling a retry with
+const RETRY_MIN_DELAY = 1000;
+// Time left before the TTL expires that a retry must land within, to allow for the request latency
+const RETRY_SAFETY_MARGIN = 5 * 1000;
+
+/**
+ * Classifies a refresh error
+ * Auth and quota errors are checked first because providers report an exhausted quota with
+ * 429, the same status as a transient rate limit.
+ * @param {any} error - Error thrown while sending the refresh
+ * @returns {ErrorCategory} Category of the error
+ */
+export function classifyRefreshError(error) {
+    const status = error?.status ?? 0;
+    const text = `${error?.type ?? ''} ${error?.message ?? ''}`;
+
+    if (error?.quota || AUTH_STATUSES.includes(status) || AUTH_PATTERN.test(text)) {
+        return ErrorCategory.AUTH;
+    }
+
+    // Only failures of the request itself count, not any TypeError: a bug in building the request won't go away by retrying
+    if (error?.network || RETRYABLE_STATUSES.includes(status) || RETRYABLE_PATTERN.test(text)) {
+        return ErrorCategory.RETRYABLE;
+    }
+
+    return ErrorCategory.FATAL;
+}
+
+/**
+ * Gets the delay before retrying a failed refresh
+ * The exponential backoff is capped so the retry still lands before the cache expires.
+ * @param {number} attempt - Number of retries already made, 0 for the first retry
+ * @param {number} timeLeft - Time until the cache expires, in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if the cache expires before a retry could land
+ */
+export function getRetryDelay(attempt, timeLeft) {
+    const latest = timeLeft - RETRY_SAFETY_MARGIN;
+    if (latest < RETRY_MIN_DELAY) return null;
+
+    return Math.min(RETRY_BASE_DELAY * 2 ** attempt, latest);
+}
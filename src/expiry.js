@@ -0,0 +1,61 @@
+/**
+ * Expiry warnings
+ *
+ * A cycle that runs out of refreshes leaves a warm cache behind, but only until the provider's
+ * TTL runs out after the last refresh. The final countdown warns at a few thresholds before that
+ * moment, more urgently at each one, so the user can still add refreshes instead of paying full
+ * price for the next message.
+ */
+
+/**
+ * Parses a comma-separated list of warning thresholds in seconds, e.g. "60, 15"
+ * @param {string} text - Thresholds to parse
+ * @returns {number[]} Thresholds in milliseconds, longest first, empty for an empty list
+ * @throws {Error} If a threshold isn't a positive number of seconds
+ */
+export function parseExpiryThresholds(text) {
+    const thresholds = [];
+
+    for (const part of text.split(',')) {
+        if (!part.trim()) continue;
+
+        const seconds = Number(part.trim());
+        if (!Number.isFinite(seconds) || seconds <= 0) {
+            throw new Error(`"${part.trim()}" is not a number of seconds`);
+        }
+        thresholds.push(seconds * 1000);
+    }
+
+    return [...new Set(thresholds)].sort((a, b) => b - a);
+}
+
+/**
+ * Gets the warning that is due in a final countdown
+ * Only the closest threshold already crossed counts, so a tab that slept through several
+ * thresholds warns once, at the level that applies now.
+ * @param {number} timeLeft - Time until the cache expires, in milliseconds
+ * @param {number[]} thresholds - Warning thresholds, longest first
+ * @param {number} warnedLevel - Level of the last warning given, -1 if none was
+ * @returns {number|null} Level of the due warning, an index into thresholds, or null if none is due
+ */
+export function getDueExpiryWarning(timeLeft, thresholds, warnedLevel) {
+    let level = null;
+    for (let i = warnedLevel + 1; i < thresholds.length; i++) {
+        if (timeLeft <= thresholds[i]) {
+            level = i;
+        }
+    }
+    return level;
+}
+
+/**
+ * Gets the delay until the final countdown has to be checked again
+ * @param {number} timeLeft - Time until the cache expires, in milliseconds
+ * @param {number[]} thresholds - Warning thresholds, longest first
+ * @param {number} warnedLevel - Level of the last warning given, -1 if none was
+ * @returns {number} Delay until the next threshold, or until the cache expires if none is left
+ */
+export function getNextExpiryCheck(timeLeft, thresholds, warnedLevel) {
+    const next = thresholds.slice(warnedLevel + 1).find(threshold => threshold < timeLeft);
+    return Math.max(0, timeLeft - (next ?? 0));
+}
@@ -0,0 +1,160 @@
+/**
+ * Prompt-prefix fingerprinting
+ *
+ * Providers only reuse a cache when the prompt starts with exactly the prefix that was cached,
+ * up to the cache breakpoint. Hashing that prefix makes it cheap to tell whether a captured
+ * prompt still matches what SillyTavern would send now, after edits, deletions, swipes or
+ * shifting injections.
+ */
+
+/**
+ * Hashes a string with the 53-bit cyrb53 algorithm
+ * @param {string} str - String to hash
+ * @param {number} seed - Hash seed
+ * @returns {string} Hash as a hexadecimal string
+ */
+export function hashString(str, seed = 0) {
+    let h1 = 0xdeadbeef ^ seed;
+    let h2 = 0x41c6ce57 ^ seed;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Checks whether a message carries an explicit cache marker
+ * @param {any} message - Chat completion message
+ * @returns {boolean} True if the message or one of its content parts has cache_control
+ */
+export function hasCacheMarker(message) {
+    if (message?.cache_control) return true;
+    return Array.isArray(message?.content) && message.content.some(part => part?.cache_control);
+}
+
+/**
+ * Gets the length of the cacheable prefix of a prompt
+ * Text completion backends reuse their prompt cache for any common prefix, so the whole
+ * prompt string is cacheable. For chat completion messages, explicit cache markers win. Otherwise the breakpoint is placed the way SillyTavern's
+ * cachingAtDepth does it: counting role switches from the end, skipping the prefill and
+ * system messages. Without a breakpoint in the history, only the leading system messages
+ * are considered cacheable.
+ * @param {Array|string} prompt - Chat completion messages or text completion prompt
+ * @param {number} depth - Cache depth, in role switches from the end
+ * @returns {number} Length of the cacheable prefix, in messages or characters
+ */
+export function getCacheablePrefixLength(prompt, depth) {
+    if (typeof prompt === 'string') return prompt.length;
+    if (!Array.isArray(prompt) || !prompt.length) return 0;
+
+    for (let i = prompt.length - 1; i >= 0; i--) {
+        if (hasCacheMarker(prompt[i])) return i + 1;
+    }
+
+    return findBreakpointAtDepth(prompt, depth) || countLeadingSystemMessages(prompt);
+}
+
+/**
+ * Finds where cachingAtDepth would place a cache breakpoint in chat completion messages
+ * Depth counts role switches from the end, skipping the prefill and system messages.
+ * @param {Array} prompt - Chat completion messages
+ * @param {number} depth - Cache depth, in role switches from the end
+ * @returns {number} Number of messages up to and including the breakpoint, 0 if the history isn't that deep
+ */
+export function findBreakpointAtDepth(prompt, depth) {
+    let passedThePrefill = false;
+    let currentDepth = 0;
+    let previousRole = '';
+    for (let i = prompt.length - 1; i >= 0; i--) {
+        const role = prompt[i]?.role;
+        if (!passedThePrefill && role === 'assistant') continue;
+        passedThePrefill = true;
+
+        if (role === 'system') continue;
+
+        if (role !== previousRole) {
+            if (currentDepth === depth) return i + 1;
+            currentDepth++;
+            previousRole = role;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Counts the system messages a prompt starts with, its system prompt and character definitions
+ * @param {Array} prompt - Chat completion messages
+ * @returns {number} Number of leading system messages
+ */
+export function countLeadingSystemMessages(prompt) {
+    let leadingSystem = 0;
+    while (leadingSystem < prompt.length && prompt[leadingSystem]?.role === 'system') {
+        leadingSystem++;
+    }
+    return leadingSystem;
+}
+
+// Content of the messages that stand in for everything after the cache breakpoint
+const PLACEHOLDER_CONTENT = '.';
+
+/**
+ * Trims a prompt down to its cacheable prefix for a refresh
+ * Everything after the breakpoint is billed as uncached input on every refresh without
+ * keeping anything warm, so it's replaced by one minimal message per role switch. That keeps
+ * a breakpoint placed by depth (like cachingAtDepth) on the end of the prefix, and the prompt
+ * still ends with a user turn. A trailing prefill is dropped. Text completion prompts are
+ * cacheable as a whole and returned unchanged.
+ * @param {Array|string} prompt - Chat completion messages or text completion prompt
+ * @param {number} prefixLength - Length of the cacheable prefix, in messages
+ * @returns {Array|string} The trimmed prompt, a new array for chat completion
+ */
+export function trimToCacheablePrefix(prompt, prefixLength) {
+    if (!Array.isArray(prompt) || prefixLength <= 0 || prefixLength >= prompt.length) return prompt;
+
+    // Roles of the turns after the breakpoint, consecutive messages of a role count once
+    const roles = [];
+    for (const message of prompt.slice(prefixLength)) {
+        if (message?.role === 'system' || message?.role === roles.at(-1)) continue;
+        roles.push(message?.role);
+    }
+    while (roles.at(-1) === 'assistant') {
+        roles.pop();
+    }
+
+    return [...prompt.slice(0, prefixLength), ...roles.map(role => ({ role, content: PLACEHOLDER_CONTENT }))];
+}
+
+/**
+ * Normalizes a message to the parts that affect caching, dropping cache markers
+ * A single text part is the same prompt as plain string content, which is how a marker gets
+ * attached to a string, so placing breakpoints doesn't change the fingerprint.
+ * @param {any} message - Chat completion message
+ * @returns {Array} Normalized message
+ */
+function normalizeMessage(message) {
+    let content = Array.isArray(message?.content)
+        ? message.content.map(({ cache_control, ...part }) => part)
+        : message?.content;
+    if (Array.isArray(content) && content.length === 1 && content[0]?.type === 'text' && Object.keys(content[0]).length === 2) {
+        content = content[0].text;
+    }
+    return [message?.role, message?.name ?? '', content];
+}
+
+/**
+ * Fingerprints the start of a prompt
+ * @param {Array|string} prompt - Chat completion messages or text completion prompt
+ * @param {number} length - Number of leading messages or characters to include
+ * @returns {string|null} Fingerprint, or null if the prompt is shorter than the requested prefix
+ */
+export function fingerprintPrefix(prompt, length) {
+    if (typeof prompt === 'string') {
+        return prompt.length < length ? null : hashString(prompt.slice(0, length));
+    }
+    if (!Array.isArray(prompt) || prompt.length < length) return null;
+    return hashString(JSON.stringify(prompt.slice(0, length).map(normalizeMessage)));
+}
@@ -0,0 +1,215 @@
+/**
+ * Spend guardrails
+ *
+ * Hard limits on background refreshes, checked before the refresh policy: refreshes are only
+ * sent inside the configured time-of-day windows, and stop once the daily or monthly token
+ * or dollar budget is used up. The spend counter resets itself at midnight and at the start
+ * of each month.
+ */
+
+import { getDayKey } from './ledger.js';
+
+/**
+ * Time-of-day window, in minutes since midnight
+ * @typedef {Object} TimeWindow
+ * @property {number} start - Start of the window, inclusive
+ * @property {number} end - End of the window, exclusive; smaller than start for windows spanning midnight
+ */
+
+/**
+ * Refresh spend of the current day and month
+ * @typedef {Object} SpendCounter
+ * @property {string} day - Day the daily counters belong to, as YYYY-MM-DD
+ * @property {string} month - Month the monthly counters belong to, as YYYY-MM
+ * @property {number} dayTokens - Tokens processed by refreshes today
+ * @property {number} dayCost - Estimated refresh spend today in USD
+ * @property {number} monthTokens - Tokens processed by refreshes this month
+ * @property {number} monthCost - Estimated refresh spend this month in USD
+ */
+
+/**
+ * Spend limits, 0 to disable a limit
+ * @typedef {Object} SpendLimits
+ * @property {number} dailyTokenLimit - Tokens per day
+ * @property {number} dailyCostLimit - USD per day
+ * @property {number} monthlyTokenLimit - Tokens per month
+ * @property {number} monthlyCostLimit - USD per month
+ */
+
+/**
+ * Parses a time in HH:MM format
+ * @param {string} text - Time to parse
+ * @returns {number|null} Minutes since midnight, or null if the time is invalid
+ */
+function parseTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text.trim());
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+    return hours * 60 + minutes;
+}
+
+/**
+ * Parses a comma-separated list of time windows, e.g. "09:00-12:00, 13:00-18:00"
+ * @param {string} text - Windows to parse
+ * @returns {TimeWindow[]} Parsed windows, empty for an empty list
+ * @throws {Error} If a window isn't formatted as HH:MM-HH:MM
+ */
+export function parseTimeWindows(text) {
+    const windows = [];
+    for (const part of String(text ?? '').split(',')) {
+        if (!part.trim()) continue;
+
+        const [startText, endText, ...rest] = part.split('-');
+        const start = parseTime(startText ?? '');
+        const end = parseTime(endText ?? '');
+        if (rest.length || start === null || end === null || start === end) {
+            throw new Error(`Invalid time window: ${part.trim()}`);
+        }
+        windows.push({ start, end });
+    }
+    return windows;
+}
+
+/**
+ * Checks whether a time falls inside one of the windows
+ * @param {TimeWindow[]} windows - Allowed windows, none means always allowed
+ * @param {Date} date - Time to check, in local time
+ * @returns {boolean} True if refreshes are allowed at that time
+ */
+export function isWithinWindows(windows, date) {
+    if (!windows.length) return true;
+
+    const minute = date.getHours() * 60 + date.getMinutes();
+    return windows.some(({ start, end }) => start < end
+        ? minute >= start && minute < end
+        : minute >= start || minute < end);
+}
+
+/**
+ * Gets the time the window a time falls inside ends at
+ * Overlapping windows count as one, ending with the one that ends last.
+ * @param {TimeWindow[]} windows - Allowed windows, none means always allowed
+ * @param {Date} date - Time to check, in local time
+ * @returns {number|null} Timestamp of the end, or null without windows or outside of them
+ */
+export function getWindowEnd(windows, date) {
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const ends = [];
+    for (const window of windows) {
+        if (!isWithinWindows([window], date)) continue;
+
+        const end = new Date(date);
+        end.setHours(0, window.end, 0, 0);
+        // Windows spanning midnight end tomorrow when checked before midnight
+        if (window.end <= minute) {
+            end.setDate(end.getDate() + 1);
+        }
+        ends.push(end.getTime());
+    }
+    return ends.length ? Math.max(...ends) : null;
+}
+
+/**
+ * Creates a spend counter for the day of a timestamp
+ * @param {number} now - Current timestamp
+ * @returns {SpendCounter} Counter with every total at 0
+ */
+export function createSpendCounter(now) {
+    const day = getDayKey(now);
+    return { day, month: day.slice(0, 7), dayTokens: 0, dayCost: 0, monthTokens: 0, monthCost: 0 };
+}
+
+/**
+ * Resets the daily counters after midnight and the monthly counters in a new month
+ * @param {SpendCounter} counter - Counter to update in place
+ * @param {number} now - Current timestamp
+ * @returns {SpendCounter} The updated counter
+ */
+export function rollSpendCounter(counter, now) {
+    const day = getDayKey(now);
+    const month = day.slice(0, 7);
+
+    if (counter.month !== month) {
+        counter.month = month;
+        counter.monthTokens = 0;
+        counter.monthCost = 0;
+    }
+    if (counter.day !== day) {
+        counter.day = day;
+        counter.dayTokens = 0;
+        counter.dayCost = 0;
+    }
+    return counter;
+}
+
+/**
+ * Adds the spend of a refresh to the counter
+ * @param {SpendCounter} counter - Counter to update in place
+ * @param {number} tokens - Tokens processed by the refresh
+ * @param {number|null} cost - Estimated cost in USD, null if unknown
+ * @param {number} now - Current timestamp
+ * @returns {SpendCounter} The updated counter
+ */
+export function addSpend(counter, tokens, cost, now) {
+    rollSpendCounter(counter, now);
+    counter.dayTokens += tokens;
+    counter.monthTokens += tokens;
+    counter.dayCost += cost ?? 0;
+    counter.monthCost += cost ?? 0;
+    return counter;
+}
+
+/**
+ * Checks the counter against the limits
+ * @param {SpendCounter} counter - Counter to check, rolled over to the current day first
+ * @param {SpendLimits} limits - Limits to check against
+ * @param {number} now - Current timestamp
+ * @returns {string|null} Which limit was reached, or null if refreshes may continue
+ */
+export function checkSpendLimits(counter, limits, now) {
+    rollSpendCounter(counter, now);
+
+    if (limits.dailyTokenLimit > 0 && counter.dayTokens >= limits.dailyTokenLimit) {
+        return `daily limit of ${limits.dailyTokenLimit} tokens reached`;
+    }
+    if (limits.dailyCostLimit > 0 && counter.dayCost >= limits.dailyCostLimit) {
+        return `daily limit of $${limits.dailyCostLimit} reached`;
+    }
+    if (limits.monthlyTokenLimit > 0 && counter.monthTokens >= limits.monthlyTokenLimit) {
+        return `monthly limit of ${limits.monthlyTokenLimit} tokens reached`;
+    }
+    if (limits.monthlyCostLimit > 0 && counter.monthCost >= limits.monthlyCostLimit) {
+        return `monthly limit of $${limits.monthlyCostLimit} reached`;
+    }
+    return null;
+}
+
+/**
+ * Counts the refreshes the limits still allow, for refreshes sent where the counter can't be checked
+ * @param {SpendCounter} counter - Counter to check, rolled over to the current day first
+ * @param {SpendLimits} limits - Limits to check against
+ * @param {{tokens: number, cost: number|null}} refresh - Estimated spend of one refresh, cost null if unknown
+ * @param {number} now - Current timestamp
+ * @returns {number|null} Number of refreshes, 0 when a dollar limit is set and the cost is unknown, null if no limit is set
+ */
+export function countAllowedRefreshes(counter, limits, refresh, now) {
+    rollSpendCounter(counter, now);
+
+    const allowed = [];
+    for (const [limit, spent, each] of [
+        [limits.dailyTokenLimit, counter.dayTokens, refresh.tokens],
+        [limits.dailyCostLimit, counter.dayCost, refresh.cost],
+        [limits.monthlyTokenLimit, counter.monthTokens, refresh.tokens],
+        [limits.monthlyCostLimit, counter.monthCost, refresh.cost],
+    ]) {
+        if (!(limit > 0)) continue;
+        if (each === null) return 0;
+        if (each > 0) {
+            allowed.push(Math.floor(Math.max(0, limit - spent) / each));
+        }
+    }
+    return allowed.length ? Math.min(...allowed) : null;
+}
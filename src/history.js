@@ -0,0 +1,86 @@
+/**
+ * Refresh history
+ *
+ * Keeps a bounded log of every refresh attempt, newest first, and converts it to JSON or CSV
+ * for export (e.g. to attach to a provider billing dispute).
+ */
+
+/**
+ * A single refresh attempt
+ * @typedef {Object} HistoryEntry
+ * @property {number} timestamp - Time the refresh was sent
+ * @property {string} chatId - Chat the refresh belongs to
+ * @property {string} chatName - Display name of the chat (character or group name)
+ * @property {string} model - Model the refresh was sent to
+ * @property {'hit'|'miss'|'refreshed'|'failed'|'aborted'} outcome - Cache hit, cache miss, success without usage data, error, or aborted by a generation
+ * @property {number} latency - Time until the response arrived, in milliseconds
+ * @property {number|null} promptTokens - Total prompt tokens, null without usage data
+ * @property {number|null} cachedTokens - Prompt tokens read from the cache
+ * @property {number|null} cacheWriteTokens - Prompt tokens written to the cache
+ * @property {number|null} outputTokens - Generated tokens
+ * @property {number|null} cost - Estimated cost in USD
+ * @property {string} error - Error message of a failed refresh, empty otherwise
+ */
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ['timestamp', 'chatId', 'chatName', 'model', 'outcome', 'latency', 'promptTokens', 'cachedTokens', 'cacheWriteTokens', 'outputTokens', 'cost', 'error'];
+
+/**
+ * Adds an entry to the front of the history and drops the oldest entries beyond the limit
+ * @param {HistoryEntry[]} history - History to update in place
+ * @param {HistoryEntry} entry - Entry to add
+ * @param {number} limit - Maximum number of entries to keep
+ * @returns {HistoryEntry[]} The updated history
+ */
+export function addHistoryEntry(history, entry, limit) {
+    history.unshift(entry);
+    history.length = Math.min(history.length, Math.max(1, limit));
+    return history;
+}
+
+/**
+ * Parses a history previously serialized with JSON.stringify
+ * @param {string|null} serialized - Serialized history
+ * @returns {HistoryEntry[]} The history, empty if it couldn't be parsed
+ */
+export function parseHistory(serialized) {
+    try {
+        const history = JSON.parse(serialized ?? '[]');
+        return Array.isArray(history) ? history : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Escapes a value for a CSV cell
+ * @param {any} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function toCsvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts the history to CSV, with ISO timestamps
+ * @param {HistoryEntry[]} history - History to convert
+ * @returns {string} CSV document with a header row
+ */
+export function historyToCsv(history) {
+    const rows = history.map(entry => CSV_COLUMNS.map((column) => {
+        const value = column === 'timestamp' ? new Date(entry.timestamp).toISOString() : entry[column];
+        return toCsvCell(value);
+    }).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Converts the history to pretty-printed JSON, with ISO timestamps
+ * @param {HistoryEntry[]} history - History to convert
+ * @returns {string} JSON document
+ */
+export function historyToJson(history) {
+    return JSON.stringify(history.map(entry => ({ ...entry, timestamp: new Date(entry.timestamp).toISOString() })), null, 2);
+}
@@ -0,0 +1,282 @@
+/**
+ * Cost and savings ledger
+ *
+ * Parses the usage block providers return for a refresh request, prices it with a per-model
+ * price table and keeps running totals per chat and per day. The estimated cost of a cold
+ * re-prompt (sending the same prompt after the cache expired) is recorded next to the actual
+ * spend, so both can be compared.
+ */
+
+/**
+ * Token usage of a single request, normalized across providers
+ * @typedef {Object} Usage
+ * @property {number} promptTokens - Total prompt tokens, cached or not
+ * @property {number} inputTokens - Prompt tokens billed at the regular input price
+ * @property {number} cachedTokens - Prompt tokens read from the cache
+ * @property {number} cacheWriteTokens - Prompt tokens written to the cache
+ * @property {number} outputTokens - Generated tokens
+ * @property {number|null} cost - Cost reported by the provider in USD, if any
+ */
+
+/**
+ * Prices in USD per million tokens
+ * @typedef {Object} ModelPrice
+ * @property {number} input - Regular input tokens
+ * @property {number} output - Output tokens
+ * @property {number} cacheRead - Input tokens read from the cache
+ * @property {number} cacheWrite - Input tokens written to the cache
+ */
+
+/**
+ * Running totals of the refreshes recorded in a ledger bucket
+ * @typedef {Object} LedgerTotals
+ * @property {number} refreshes - Number of recorded refreshes
+ * @property {number} promptTokens - Prompt tokens sent
+ * @property {number} cachedTokens - Prompt tokens read from the cache
+ * @property {number} cacheWriteTokens - Prompt tokens written to the cache
+ * @property {number} outputTokens - Generated tokens
+ * @property {number} cost - Spend on refreshes in USD
+ * @property {number} coldCost - Estimated cost of the same prompts sent cold, in USD
+ * @property {number} lastRefresh - Timestamp of the last recorded refresh
+ */
+
+// Number of days and chats kept in the ledger before the oldest ones are dropped
+const MAX_LEDGER_DAYS = 60;
+const MAX_LEDGER_CHATS = 50;
+
+/**
+ * Price table, first matching pattern wins so more specific models come first
+ * @type {{pattern: RegExp, price: ModelPrice}[]}
+ */
+export const modelPrices = [
+    // Anthropic: cache reads cost 0.1x and 5 minute cache writes 1.25x the input price
+    { pattern: /claude-(opus-4-[5-9]|opus-[5-9])/, price: { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 } },
+    { pattern: /claude-(3-opus|opus-4)/, price: { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 } },
+    { pattern: /claude-(3-5-sonnet|3-7-sonnet|sonnet-4|sonnet-[5-9])/, price: { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 } },
+    { pattern: /claude-haiku-4/, price: { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 } },
+    { pattern: /claude-3-5-haiku/, price: { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 } },
+    { pattern: /claude-3-haiku/, price: { input: 0.25, output: 1.25, cacheRead: 0.03, cacheWrite: 0.3 } },
+    // OpenAI: cache writes are free, cached reads are discounted
+    { pattern: /gpt-5-nano/, price: { input: 0.05, output: 0.4, cacheRead: 0.005, cacheWrite: 0.05 } },
+    { pattern: /gpt-5-mini/, price: { input: 0.25, output: 2, cacheRead: 0.025, cacheWrite: 0.25 } },
+    { pattern: /gpt-5/, price: { input: 1.25, output: 10, cacheRead: 0.125, cacheWrite: 1.25 } },
+    { pattern: /gpt-4\.1-nano/, price: { input: 0.1, output: 0.4, cacheRead: 0.025, cacheWrite: 0.1 } },
+    { pattern: /gpt-4\.1-mini/, price: { input: 0.4, output: 1.6, cacheRead: 0.1, cacheWrite: 0.4 } },
+    { pattern: /gpt-4\.1/, price: { input: 2, output: 8, cacheRead: 0.5, cacheWrite: 2 } },
+    { pattern: /gpt-4o-mini/, price: { input: 0.15, output: 0.6, cacheRead: 0.075, cacheWrite: 0.15 } },
+    { pattern: /gpt-4o/, price: { input: 2.5, output: 10, cacheRead: 1.25, cacheWrite: 2.5 } },
+    { pattern: /o4-mini/, price: { input: 1.1, output: 4.4, cacheRead: 0.275, cacheWrite: 1.1 } },
+    { pattern: /(^|\/)o3/, price: { input: 2, output: 8, cacheRead: 0.5, cacheWrite: 2 } },
+    // DeepSeek: cache hits and misses are billed separately
+    { pattern: /deepseek/, price: { input: 0.28, output: 0.42, cacheRead: 0.028, cacheWrite: 0.28 } },
+    // Google: implicit cache hits are discounted
+    { pattern: /gemini-2\.5-pro/, price: { input: 1.25, output: 10, cacheRead: 0.31, cacheWrite: 1.25 } },
+    { pattern: /gemini-2\.5-flash-lite/, price: { input: 0.1, output: 0.4, cacheRead: 0.025, cacheWrite: 0.1 } },
+    { pattern: /gemini-2\.5-flash/, price: { input: 0.3, output: 2.5, cacheRead: 0.075, cacheWrite: 0.3 } },
+];
+
+/**
+ * Reads a token count from a usage block, treating missing values as 0
+ * @param {any} value - Raw value
+ * @returns {number} Token count
+ */
+function toCount(value) {
+    const count = Number(value);
+    return Number.isFinite(count) && count > 0 ? count : 0;
+}
+
+/**
+ * Extracts the token usage from a chat completion response
+ * Understands the Anthropic, OpenAI (and OpenRouter), DeepSeek and Google response formats.
+ * @param {any} data - Response data of the request
+ * @returns {Usage|null} Normalized usage, or null if the response doesn't report any
+ */
+export function parseUsage(data) {
+    const usage = data?.usage;
+    const reportedCost = Number.isFinite(Number(usage?.cost)) ? Number(usage.cost) : null;
+
+    // Anthropic: input_tokens excludes cache reads and writes
+    if (usage && ('cache_read_input_tokens' in usage || 'cache_creation_input_tokens' in usage || 'input_tokens' in usage)) {
+        const inputTokens = toCount(usage.input_tokens);
+        const cachedTokens = toCount(usage.cache_read_input_tokens);
+        const cacheWriteTokens = toCount(usage.cache_creation_input_tokens);
+        return {
+            promptTokens: inputTokens + cachedTokens + cacheWriteTokens,
+            inputTokens,
+            cachedTokens,
+            cacheWriteTokens,
+            outputTokens: toCount(usage.output_tokens),
+            cost: reportedCost,
+        };
+    }
+
+    // DeepSeek: prompt tokens are split into cache hits and misses
+    if (usage && 'prompt_cache_hit_tokens' in usage) {
+        const cachedTokens = toCount(usage.prompt_cache_hit_tokens);
+        const inputTokens = toCount(usage.prompt_cache_miss_tokens);
+        return {
+            promptTokens: inputTokens + cachedTokens,
+            inputTokens,
+            cachedTokens,
+            cacheWriteTokens: 0,
+            outputTokens: toCount(usage.completion_tokens),
+            cost: reportedCost,
+        };
+    }
+
+    // OpenAI and compatible: prompt_tokens includes the cached tokens
+    if (usage && 'prompt_tokens' in usage) {
+        const promptTokens = toCount(usage.prompt_tokens);
+        const cachedTokens = toCount(usage.prompt_tokens_details?.cached_tokens);
+        const cacheWriteTokens = toCount(usage.prompt_tokens_details?.cache_write_tokens);
+        return {
+            promptTokens,
+            inputTokens: Math.max(0, promptTokens - cachedTokens - cacheWriteTokens),
+            cachedTokens,
+            cacheWriteTokens,
+            outputTokens: toCount(usage.completion_tokens),
+            cost: reportedCost,
+        };
+    }
+
+    // Google: promptTokenCount includes the cached content
+    const metadata = data?.usageMetadata;
+    if (metadata && 'promptTokenCount' in metadata) {
+        const promptTokens = toCount(metadata.promptTokenCount);
+        const cachedTokens = toCount(metadata.cachedContentTokenCount);
+        return {
+            promptTokens,
+            inputTokens: Math.max(0, promptTokens - cachedTokens),
+            cachedTokens,
+            cacheWriteTokens: 0,
+            outputTokens: toCount(metadata.candidatesTokenCount),
+            cost: null,
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Finds the price of a model
+ * @param {string} model - Model identifier, provider prefixes like 'anthropic/' are allowed
+ * @param {Object<string, ModelPrice>} overrides - User prices keyed by exact model identifier
+ * @returns {ModelPrice|null} Price of the model, or null if it is unknown
+ */
+export function findModelPrice(model, overrides = {}) {
+    if (!model) return null;
+    if (overrides?.[model]) return overrides[model];
+
+    const name = String(model).toLowerCase();
+    return modelPrices.find(x => x.pattern.test(name))?.price ?? null;
+}
+
+/**
+ * Stands in for the usage of a refresh whose response reported none
+ * Every prompt token counts at the regular input price, so limits stop refreshes early rather than late.
+ * @param {number} promptTokens - Tokens of the prompt the refresh sent
+ * @returns {Usage} Estimated usage
+ */
+export function estimateUsage(promptTokens) {
+    return { promptTokens, inputTokens: promptTokens, cachedTokens: 0, cacheWriteTokens: 0, outputTokens: 0, cost: null };
+}
+
+/**
+ * Estimates the cost of a refresh and of sending the same prompt cold
+ * @param {Usage} usage - Usage of the refresh
+ * @param {ModelPrice|null} price - Price of the model
+ * @returns {{cost: number|null, coldCost: number|null}} Costs in USD, null when they can't be estimated
+ */
+export function estimateCost(usage, price) {
+    if (!price) {
+        return { cost: usage.cost, coldCost: null };
+    }
+
+    const perToken = (tokens, pricePerMillion) => tokens * pricePerMillion / 1_000_000;
+    const cost = usage.cost ?? (
+        perToken(usage.inputTokens, price.input)
+        + perToken(usage.cachedTokens, price.cacheRead)
+        + perToken(usage.cacheWriteTokens, price.cacheWrite)
+        + perToken(usage.outputTokens, price.output)
+    );
+
+    // After the cache expired, the whole prompt has to be sent again and written back to the cache
+    const coldCost = perToken(usage.promptTokens, Math.max(price.input, price.cacheWrite));
+
+    return { cost, coldCost };
+}
+
+/**
+ * Creates an empty totals bucket
+ * @returns {LedgerTotals} Totals with every counter at 0
+ */
+export function createTotals() {
+    return {
+        refreshes: 0,
+        promptTokens: 0,
+        cachedTokens: 0,
+        cacheWriteTokens: 0,
+        outputTokens: 0,
+        cost: 0,
+        coldCost: 0,
+        lastRefresh: 0,
+    };
+}
+
+/**
+ * Gets the ledger key of the day a timestamp falls on, in local time
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {string} Day key formatted as YYYY-MM-DD
+ */
+export function getDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Adds a refresh to a totals bucket
+ * @param {LedgerTotals} totals - Bucket to update
+ * @param {Usage} usage - Usage of the refresh
+ * @param {{cost: number|null, coldCost: number|null}} costs - Estimated costs of the refresh
+ * @param {number} timestamp - Time of the refresh
+ */
+function addToTotals(totals, usage, costs, timestamp) {
+    totals.refreshes++;
+    totals.promptTokens += usage.promptTokens;
+    totals.cachedTokens += usage.cachedTokens;
+    totals.cacheWriteTokens += usage.cacheWriteTokens;
+    totals.outputTokens += usage.outputTokens;
+    totals.cost += costs.cost ?? 0;
+    totals.coldCost += costs.coldCost ?? 0;
+    totals.lastRefresh = timestamp;
+}
+
+/**
+ * Records a refresh in the ledger and drops the oldest days and chats beyond the limits
+ * @param {{days: Object<string, LedgerTotals>, chats: Object<string, LedgerTotals>}} ledger - Ledger to update
+ * @param {Object} entry - Refresh to record
+ * @param {string} entry.chatId - Chat the refresh belongs to
+ * @param {Usage} entry.usage - Usage of the refresh
+ * @param {{cost: number|null, coldCost: number|null}} entry.costs - Estimated costs of the refresh
+ * @param {number} entry.timestamp - Time of the refresh
+ */
+export function recordRefresh(ledger, { chatId, usage, costs, timestamp }) {
+    const day = getDayKey(timestamp);
+    ledger.days[day] ??= createTotals();
+    ledger.chats[chatId] ??= createTotals();
+
+    addToTotals(ledger.days[day], usage, costs, timestamp);
+    addToTotals(ledger.chats[chatId], usage, costs, timestamp);
+
+    const days = Object.keys(ledger.days).sort();
+    for (const key of days.slice(0, Math.max(0, days.length - MAX_LEDGER_DAYS))) {
+        delete ledger.days[key];
+    }
+
+    const chats = Object.keys(ledger.chats).sort((a, b) => ledger.chats[a].lastRefresh - ledger.chats[b].lastRefresh);
+    for (const key of chats.slice(0, Math.max(0, chats.length - MAX_LEDGER_CHATS))) {
+        delete ledger.chats[key];
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * Refresh policy engine
+ *
+ * Decides whether a chat should still be kept warm, based on what the user is doing rather
+ * than a blind refresh counter. Typing keeps the cache warm indefinitely, while a hidden tab,
+ * a long idle period or the total keep-warm duration end the cycle. The refresh count still
+ * applies as a budget for when none of the other signals decide.
+ */
+
+// Stop reason of a cycle whose refresh budget ran out; its cache stays warm until the TTL runs out
+export const BUDGET_USED_UP_REASON = 'refresh budget used up';
+
+/**
+ * Signals about the user's activity
+ * @typedef {Object} ActivitySignals
+ * @property {number} now - Current timestamp
+ * @property {number} lastTypingAt - Timestamp of the last input in the send textarea, 0 if never
+ * @property {number} lastInteractionAt - Timestamp of the last key press, click or scroll
+ * @property {number|null} hiddenSince - Timestamp the tab was hidden at, null while it is visible
+ */
+
+/**
+ * Policy settings, all durations in milliseconds and 0 to disable a rule
+ * @typedef {Object} RefreshPolicy
+ * @property {boolean} keepWarmWhileTyping - Whether typing keeps the cache warm regardless of the other rules
+ * @property {number} typingGrace - How long after the last keystroke the user still counts as typing
+ * @property {number} hiddenTimeout - Stop after the tab has been hidden this long
+ * @property {number} idleTimeout - Stop after this long without any interaction
+ * @property {number} maxKeepWarm - Stop after keeping the chat warm this long in total
+ */
+
+/**
+ * @typedef {Object} PolicyDecision
+ * @property {boolean} allow - Whether the refresh may be sent
+ * @property {boolean} consumeBudget - Whether the refresh counts against the refresh budget
+ * @property {string} reason - Why the decision was made, shown in the status displays
+ */
+
+/**
+ * Decides whether a session may send its next refresh
+ * @param {ActivitySignals} signals - Current activity signals
+ * @param {RefreshPolicy} policy - Policy settings
+ * @param {{refreshesLeft: number, cycleStartedAt: number|null}} session - Session to decide for
+ * @returns {PolicyDecision} The decision
+ */
+export function evaluateRefreshPolicy(signals, policy, session) {
+    const { now } = signals;
+
+    if (policy.keepWarmWhileTyping && signals.lastTypingAt && now - signals.lastTypingAt <= policy.typingGrace) {
+        return { allow: true, consumeBudget: false, reason: 'user is typing' };
+    }
+
+    if (policy.maxKeepWarm > 0 && session.cycleStartedAt && now - session.cycleStartedAt >= policy.maxKeepWarm) {
+        return { allow: false, consumeBudget: false, reason: 'keep-warm duration reached' };
+    }
+
+    if (policy.hiddenTimeout > 0 && signals.hiddenSince && now - signals.hiddenSince >= policy.hiddenTimeout) {
+        return { allow: false, consumeBudget: false, reason: 'tab hidden too long' };
+    }
+
+    if (policy.idleTimeout > 0 && now - signals.lastInteractionAt >= policy.idleTimeout) {
+        return { allow: false, consumeBudget: false, reason: 'user idle too long' };
+    }
+
+    if (session.refreshesLeft <= 0) {
+        return { allow: false, consumeBudget: false, reason: BUDGET_USED_UP_REASON };
+    }
+
+    return { allow: true, consumeBudget: true, reason: 'within budget' };
+}
+
+/**
+ * Gets the time the policy will end a cycle at if nothing else happens
+ * Only the rules that don't need to see the page count, so refreshes sent without it can honour them.
+ * @param {ActivitySignals} signals - Current activity signals
+ * @param {RefreshPolicy} policy - Policy settings
+ * @param {{cycleStartedAt: number|null}} session - Session to decide for
+ * @returns {number|null} Timestamp of the deadline, or null if no rule sets one
+ */
+export function getPolicyDeadline(signals, policy, session) {
+    const deadlines = [];
+
+    if (policy.maxKeepWarm > 0 && session.cycleStartedAt) {
+        deadlines.push(session.cycleStartedAt + policy.maxKeepWarm);
+    }
+    if (policy.idleTimeout > 0) {
+        deadlines.push(signals.lastInteractionAt + policy.idleTimeout);
+    }
+
+    return deadlines.length ? Math.min(...deadlines) : null;
+}
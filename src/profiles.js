@@ -0,0 +1,63 @@
+/**
+ * Settings profiles
+ *
+ * A profile overrides the core settings for a character, a group or a SillyTavern connection
+ * profile, e.g. aggressive keep-warm for a huge lorebook-heavy character and no refreshes at
+ * all for a cheap local model. The profile bound to the open character or group wins over the
+ * one bound to the connection profile; without either, the global settings apply.
+ */
+
+// Settings a profile can override
+export const PROFILE_SETTINGS = ['enabled', 'refreshInterval', 'maxRefreshes', 'maxTokens'];
+
+/**
+ * @typedef {Object} SettingsProfile
+ * @property {string} name - Display name of what the profile is bound to, e.g. "Character: Seraphina"
+ * @property {Object} overrides - Values of PROFILE_SETTINGS that replace the global ones
+ */
+
+/**
+ * Something a profile can be bound to
+ * @typedef {Object} ProfileTarget
+ * @property {string} key - Binding key, e.g. 'character:seraphina.png', 'group:123' or 'connection:<profile id>'
+ * @property {string} name - Display name of the target
+ */
+
+/**
+ * Finds the profile in effect
+ * @param {Object<string, SettingsProfile>} profiles - Profiles keyed by binding key
+ * @param {(ProfileTarget|null)[]} targets - Candidate targets, most specific first
+ * @returns {(SettingsProfile & {key: string})|null} The first bound profile, or null to use the global settings
+ */
+export function resolveSettingsProfile(profiles, targets) {
+    for (const target of targets) {
+        if (target && profiles?.[target.key]) {
+            return { key: target.key, ...profiles[target.key] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Gets the settings in effect with a profile applied
+ * @param {Object} settings - Global settings
+ * @param {SettingsProfile|null} profile - Profile in effect, null for none
+ * @returns {Object} Values of PROFILE_SETTINGS
+ */
+export function applySettingsProfile(settings, profile) {
+    const effective = {};
+    for (const key of PROFILE_SETTINGS) {
+        effective[key] = profile?.overrides?.[key] ?? settings[key];
+    }
+    return effective;
+}
+
+/**
+ * Creates a profile starting from the given values
+ * @param {string} name - Display name of the target
+ * @param {Object} values - Settings to copy the PROFILE_SETTINGS values from
+ * @returns {SettingsProfile} New profile
+ */
+export function createSettingsProfile(name, values) {
+    return { name, overrides: applySettingsProfile(values, null) };
+}
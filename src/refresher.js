@@ -0,0 +1,85 @@
+/**
+ * Refresher wiring
+ *
+ * Connects the scheduler to the rest of the extension: the settings a session runs with, who
+ * sends its refreshes, and what happens around a cycle starting, changing or stopping. index.js
+ * passes in what it gets from SillyTavern and the page; the tests pass doubles for the same
+ * pieces, so both run this wiring.
+ */
+
+import { BUDGET_USED_UP_REASON } from './policy.js';
+import { createScheduler } from './scheduler.js';
+
+// Events emitted on SillyTavern's event bus for other extensions
+export const refresherEvents = {
+    REFRESHED: 'cache_refresher:refreshed',
+    FAILED: 'cache_refresher:failed',
+    CYCLE_STOPPED: 'cache_refresher:cycle_stopped',
+};
+
+/** @typedef {import('./scheduler.js').RefreshSession} RefreshSession */
+
+/**
+ * What the refresher needs from its surroundings
+ * @typedef {Object} RefresherHost
+ * @property {(session: RefreshSession) => {enabled: boolean, maxRefreshes: number}} getSessionSettings - Settings in effect for a session
+ * @property {() => number} getMaxSessions - Maximum number of chats kept warm at the same time
+ * @property {() => string} getChatName - Display name of the current chat
+ * @property {(session: RefreshSession) => number} getInterval - Interval between refreshes of a session, in milliseconds
+ * @property {(session: RefreshSession) => import('./ttl-profiles.js').ResolvedTtlProfile} getTtlProfile - TTL profile of the source a session refreshes
+ * @property {(session: RefreshSession) => import('./policy.js').PolicyDecision} checkPolicy - Decides whether a session may send its next refresh
+ * @property {() => boolean} isLeader - Whether this tab sends the refreshes of the browser
+ * @property {() => string|null} getGeneratingChatId - Chat whose generation is running, null while none is
+ * @property {(session: RefreshSession) => Promise<{endpoint: string, payload: Object}>} buildRequest - Builds the refresh request of a session
+ * @property {(endpoint: string, payload: Object, signal: AbortSignal) => Promise<any>} sendRequest - Sends a refresh request
+ * @property {(session: RefreshSession, outcome: import('./scheduler.js').RefreshOutcome) => void} onRefreshSettled - Records the outcome of a refresh
+ * @property {(session: RefreshSession|null) => void} onUpdate - Updates the UI
+ * @property {(session: RefreshSession) => void} shareSession - Shares the state of a session with the other tabs
+ * @property {(session: RefreshSession) => void} handOffToServer - Lets the server plugin keep a session warm, if it can
+ * @property {() => void} clearPauseWarning - Dismisses the warning of a cycle paused by an auth or quota error
+ * @property {(session: RefreshSession) => void} startExpiryCountdown - Warns before the cache of a session that ran out of refreshes expires
+ * @property {(chatId: string) => void} stopExpiryCountdown - Cancels the expiry warnings of a chat
+ * @property {(eventType: string, detail: Object) => void} emitEvent - Emits one of refresherEvents
+ * @property {(message: string, data?: any) => void} log - Debug logger
+ */
+
+/**
+ * Creates the refresh scheduler of the extension
+ * @param {RefresherHost} host - Surroundings of the refresher
+ * @returns {ReturnType<typeof createScheduler>} The scheduler
+ */
+export function createRefresher(host) {
+    return createScheduler({
+        isEnabled: (session) => host.getSessionSettings(session).enabled,
+        getMaxRefreshes: (session) => host.getSessionSettings(session).maxRefreshes,
+        getMaxSessions: host.getMaxSessions,
+        getChatName: host.getChatName,
+        getInterval: host.getInterval,
+        getTtlProfile: host.getTtlProfile,
+        checkPolicy: host.checkPolicy,
+        // A session the server plugin holds is refreshed there, not by any tab
+        isRefresher: (session) => host.isLeader() && !session.heldByServer,
+        // Only a generation of the same chat touches the session's cache
+        isGenerating: (session) => session.chatId === host.getGeneratingChatId(),
+        buildRequest: host.buildRequest,
+        sendRequest: host.sendRequest,
+        onRefreshSettled: host.onRefreshSettled,
+        onUpdate: host.onUpdate,
+        onCycleChange: (session) => {
+            host.onUpdate(session);
+            host.shareSession(session);
+            host.handOffToServer(session);
+        },
+        onCycleStarted: (session) => {
+            host.clearPauseWarning();
+            host.stopExpiryCountdown(session.chatId);
+        },
+        onCycleStopped: (session) => {
+            host.emitEvent(refresherEvents.CYCLE_STOPPED, { chatId: session.chatId, reason: session.stopReason ?? 'stopped' });
+            if (session.stopReason === BUDGET_USED_UP_REASON) {
+                host.startExpiryCountdown(session);
+            }
+        },
+        log: host.log,
+    });
+}
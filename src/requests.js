@@ -0,0 +1,138 @@
+/**
+ * Refresh requests
+ *
+ * Builds refresh requests from a captured prompt and sends them to SillyTavern's generation
+ * endpoints directly. Every payload is built on a copy with its own response length, so the
+ * settings and request bodies of the user's real generations are never modified, whatever
+ * happens to the refresh.
+ */
+
+import { RefreshError } from './errors.js';
+
+// Fields text completion backends read the response length from
+export const TEXT_COMPLETION_LENGTH_FIELDS = ['max_new_tokens', 'max_tokens', 'n_predict', 'num_predict', 'max_length'];
+
+// Smallest response length each kind of model accepts; reasoning models reject tiny completion budgets
+const MIN_RESPONSE_TOKENS = [
+    { pattern: /(^|\/)(o1|o3|o4)|gpt-5/, tokens: 16 },
+];
+
+/**
+ * Gets the response length to use for refresh requests
+ * Keeps the requested length within what the model accepts and never above the user's own response length
+ * @param {string} model - Model the request is sent to
+ * @param {number} userLength - Response length of the user's own requests
+ * @param {number} requested - Response length configured for refreshes
+ * @returns {number} Response length in tokens
+ */
+export function getRefreshResponseLength(model, userLength, requested) {
+    const minimum = MIN_RESPONSE_TOKENS.find(x => x.pattern.test(model ?? ''))?.tokens ?? 1;
+    const maximum = Number(userLength) || requested;
+
+    return Math.max(minimum, Math.min(requested, maximum));
+}
+
+/**
+ * Builds the payload of a chat completion refresh request from the captured prompt
+ * A copy of the chat completion settings carries the capped response length.
+ * @param {Array} prompt - Captured chat completion prompt
+ * @param {Object} completionSettings - The user's chat completion settings, left untouched
+ * @param {number} requested - Response length configured for refreshes
+ * @param {Object} builders - SillyTavern's request builders
+ * @param {(settings: Object) => string} builders.getModel - Gets the model selected in the settings
+ * @param {(settings: Object, model: string, type: string, messages: Array) => Promise<{generate_data: Object}>} builders.createParameters - Builds the request body
+ * @returns {Promise<Object>} Request payload for the chat completion endpoint
+ */
+export async function buildChatCompletionPayload(prompt, completionSettings, requested, { getModel, createParameters }) {
+    const requestSettings = { ...completionSettings };
+    const model = getModel(requestSettings);
+    requestSettings.openai_max_tokens = getRefreshResponseLength(model, completionSettings.openai_max_tokens, requested);
+
+    // The prompt is cloned because the parameters builder may rewrite message roles in place
+    const { generate_data } = await createParameters(requestSettings, model, 'quiet', structuredClone(prompt));
+    generate_data.stream = false;
+
+    return generate_data;
+}
+
+/**
+ * Builds the payload of a text completion refresh request from the captured request body
+ * Every response length field the backend may read is capped on a copy of the request.
+ * @param {Object} request - Captured text completion request body, left untouched
+ * @param {number} requested - Response length configured for refreshes
+ * @returns {Object} Request payload for the text completion endpoint
+ */
+export function buildTextCompletionPayload(request, requested) {
+    const payload = structuredClone(request);
+    const userLength = TEXT_COMPLETION_LENGTH_FIELDS.map(field => payload[field]).find(value => typeof value === 'number');
+    const length = getRefreshResponseLength(payload.model, userLength, requested);
+
+    for (const field of TEXT_COMPLETION_LENGTH_FIELDS) {
+        if (typeof payload[field] === 'number') {
+            payload[field] = length;
+        }
+    }
+    payload.stream = false;
+
+    return payload;
+}
+
+/**
+ * Tags a failure of the network request itself, which fetch and reading the body report as a TypeError
+ * Anything else, like an abort or a body that isn't JSON, is thrown as it was.
+ * @param {any} error - Error the request rejected with
+ * @returns {never}
+ * @throws {RefreshError|any} A network error, or the original error
+ */
+function toNetworkError(error) {
+    if (error instanceof TypeError) {
+        throw new RefreshError(`Network error: ${error.message}`, { network: true });
+    }
+    throw error;
+}
+
+/**
+ * Sends a refresh request to a generation endpoint
+ * @param {string} endpoint - Generation endpoint to post to
+ * @param {Object} payload - Request payload
+ * @param {Object} headers - Request headers, including SillyTavern's CSRF token
+ * @param {AbortSignal} [signal] - Cancels the request; SillyTavern then cancels its provider request too
+ * @returns {Promise<Object>} Response data from the API
+ * @throws {RefreshError} If the backend or the provider reported an error
+ */
+export async function sendRefreshRequest(endpoint, payload, headers, signal) {
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+        signal,
+    }).catch(toNetworkError);
+
+    if (!response.ok) {
+        // Surface the provider's error message when the backend forwards one
+        const text = await response.text().catch(toNetworkError);
+        let body = null;
+        try {
+            body = JSON.parse(text);
+        } catch {
+            body = { error: { message: text.slice(0, 200) } };
+        }
+        const message = body?.error?.message ?? body?.message ?? '';
+        throw new RefreshError(`Got response status ${response.status}${message ? `: ${message}` : ''}`, {
+            status: response.status,
+            type: body?.error?.type ?? '',
+            quota: Boolean(body?.quota_error),
+        });
+    }
+
+    // Some sources answer with status 200 and only the error in the body
+    const data = await response.json().catch(toNetworkError);
+    if (data?.error) {
+        throw new RefreshError(data.error.message || 'API returned an error', {
+            type: data.error.type ?? '',
+            quota: Boolean(data.quota_error),
+        });
+    }
+
+    return data;
+}
@@ -0,0 +1,517 @@
+/**
+ * Refresh scheduler
+ *
+ * The state machine behind the refresh cycles, without any DOM or SillyTavern globals: the
+ * per-chat session registry, the refresh timers, the budget, concurrent refresh prevention,
+ * arbitration with the user's own generations and retries after failed refreshes. Everything
+ * it needs from the outside (settings, the TTL profile, the refresh policy, how a request is
+ * built and sent) and everything it reports back (UI updates, outcomes of refreshes) goes
+ * through the hooks, so the whole cycle can run under a test with fake timers and a stub
+ * provider.
+ */
+
+import { classifyRefreshError, ErrorCategory, getRetryDelay } from './errors.js';
+
+// Stop reason of a cycle paused by an auth or quota error; typing doesn't resume such a cycle
+export const AUTH_PAUSE_REASON = 'paused by an auth or quota error';
+// Stop reason of a cycle paused from the status indicator; typing doesn't resume it either
+export const USER_PAUSE_REASON = 'paused by the user';
+// Stop reason of a cycle stopped with /cache-stop; neither typing nor a manual refresh restarts it
+export const USER_STOP_REASON = 'stopped by the user';
+
+// How long a tab that doesn't send the refreshes waits before checking again, in milliseconds
+const FOLLOWER_CHECK_DELAY = 10 * 1000;
+
+/**
+ * Per-chat refresh session. Each chat keeps its own captured prompt, countdown and budget
+ * so switching between chats doesn't throw away caches that are still warm.
+ * @typedef {Object} RefreshSession
+ * @property {string} chatId - ID of the chat the session belongs to
+ * @property {string} chatName - Display name of the chat (character or group name)
+ * @property {string|null} api - Main API the prompt was captured from
+ * @property {Array|string|null} prompt - The last prompt sent to the AI model for this chat: messages for chat completion, a string for text completion
+ * @property {Object|null} request - Captured request body of a text completion prompt, null for chat completion
+ * @property {import('./target.js').RefreshTarget|null} target - Connection the prompt was captured for, which refreshes are sent to
+ * @property {string[]|null} profileKeys - Keys of the character or group and the connection profile the prompt was captured with, most specific first
+ * @property {number} prefixLength - Number of leading prompt messages up to the cache breakpoint
+ * @property {string|null} fingerprint - Hash of the cacheable prefix of the prompt
+ * @property {import('./breakpoints.js').CacheBreakpoint[]|null} breakpoints - Cache breakpoints the extension placed in the prompt, null if it placed none
+ * @property {{full: number, trimmed: number}|null} tokenCounts - Tokens of the prompt and of its cacheable prefix, null until counted
+ * @property {any} refreshTimer - Timer for scheduling the next refresh
+ * @property {number} refreshesLeft - Counter for remaining refreshes in the current cycle (Infinity for no limit)
+ * @property {number|null} cycleStartedAt - Timestamp the current keep-warm cycle started at
+ * @property {string|null} stopReason - Why the refresh policy ended the last cycle
+ * @property {number|null} nextRefreshTime - Timestamp for the next scheduled refresh
+ * @property {boolean} refreshInProgress - Flag to prevent concurrent refreshes of this chat
+ * @property {AbortController|null} abortController - Aborts the refresh in flight when a generation of the chat starts
+ * @property {number} retryAttempt - Number of retries made since the last successful refresh
+ * @property {boolean} heldByServer - Whether the server plugin sends the scheduled refreshes of this session
+ * @property {number} lastActivity - Timestamp of the last capture or successful refresh, used for eviction and cache expiry
+ */
+
+/**
+ * What happened to a refresh, handed to onRefreshSettled
+ * @typedef {Object} RefreshOutcome
+ * @property {boolean} succeeded - Whether the provider accepted the refresh
+ * @property {boolean} aborted - Whether the refresh was aborted because a generation of the chat started
+ * @property {boolean} manual - Whether the refresh was requested by the user
+ * @property {import('./policy.js').PolicyDecision} decision - Why the refresh was allowed
+ * @property {number} startedAt - Timestamp the refresh started at
+ * @property {number} latency - Time the request took, in milliseconds
+ * @property {string} model - Model the request was sent to, or the API if the payload names none
+ * @property {any} data - Response data of a successful refresh
+ * @property {Error|null} error - Error of a failed refresh
+ * @property {ErrorCategory|null} category - Category of the error
+ * @property {number|null} retryDelay - Delay of the retry after a transient error, null if none was scheduled
+ * @property {string|null} failReason - Why the cycle stopped after the error, null if it goes on
+ */
+
+/**
+ * @typedef {Object} SchedulerHooks
+ * @property {(session: RefreshSession) => boolean} isEnabled - Whether refreshing is enabled for a session
+ * @property {(session: RefreshSession) => number} getMaxRefreshes - Budget of a new cycle of a session, 0 for no limit
+ * @property {() => number} getMaxSessions - Maximum number of chats kept warm at the same time
+ * @property {() => string} getChatName - Display name of the current chat, for new sessions
+ * @property {(session: RefreshSession) => number} getInterval - Delay between refreshes of a session, in milliseconds
+ * @property {(session: RefreshSession) => {label: string, ttl: number, resetsTtl: boolean}} getTtlProfile - TTL profile of the source a session refreshes
+ * @property {(session: RefreshSession) => import('./policy.js').PolicyDecision} checkPolicy - Refresh policy and guardrails
+ * @property {(session: RefreshSession) => boolean} isRefresher - Whether this tab sends the scheduled refreshes of a session
+ * @property {(session: RefreshSession) => boolean} isGenerating - Whether a generation of the session's chat is running
+ * @property {(session: RefreshSession) => Promise<{endpoint: string, payload: Object}>} buildRequest - Builds the refresh request of a session
+ * @property {(endpoint: string, payload: Object, signal: AbortSignal) => Promise<Object>} sendRequest - Sends a refresh request, throwing on errors
+ * @property {(session: RefreshSession, outcome: RefreshOutcome) => void} onRefreshSettled - Called after every refresh attempt, before the next one is scheduled
+ * @property {(session: RefreshSession) => void} onUpdate - Called when the state of a session changed
+ * @property {(session: RefreshSession) => void} onCycleChange - Called when a session got a new countdown or stopped, e.g. to share it with other tabs
+ * @property {(session: RefreshSession) => void} onCycleStarted - Called when a new cycle started
+ * @property {(session: RefreshSession) => void} onCycleStopped - Called when a running cycle stopped for good, not when it is only rearmed
+ * @property {(message: string, data?: any) => void} log - Debug logger
+ */
+
+/**
+ * Creates the scheduler
+ * @param {SchedulerHooks} hooks - Connections to the settings, the provider and the UI
+ * @returns {Object} The session registry and the cycle functions
+ */
+export function createScheduler(hooks) {
+    /** @type {Map<string, RefreshSession>} */
+    const sessions = new Map(); // Session registry keyed by chat ID
+
+    /**
+     * Gets the refresh session for a chat, optionally creating it
+     * @param {string|null} chatId - Chat ID to look up
+     * @param {boolean} create - Whether to create the session if it doesn't exist
+     * @returns {RefreshSession|null} The session, or null if not found
+     */
+    function getSession(chatId, create = false) {
+        if (!chatId) return null;
+
+        let session = sessions.get(chatId);
+        if (!session && create) {
+            session = {
+                chatId,
+                chatName: hooks.getChatName(),
+                api: null,
+                prompt: null,
+                request: null,
+                target: null,
+                profileKeys: null,
+                prefixLength: 0,
+                fingerprint: null,
+                breakpoints: null,
+                tokenCounts: null,
+                refreshTimer: null,
+                refreshesLeft: 0,
+                cycleStartedAt: null,
+                stopReason: null,
+                nextRefreshTime: null,
+                refreshInProgress: false,
+                abortController: null,
+                retryAttempt: 0,
+                heldByServer: false,
+                lastActivity: Date.now(),
+            };
+            sessions.set(chatId, session);
+            evictSessions(chatId);
+        }
+
+        return session ?? null;
+    }
+
+    /**
+     * Checks whether a session has a refresh cycle running
+     * @param {RefreshSession|null} session - Session to check
+     * @returns {boolean} True if a refresh is scheduled or in flight
+     */
+    function isSessionActive(session) {
+        return Boolean(session?.prompt && (session.refreshTimer || session.refreshInProgress));
+    }
+
+    /**
+     * Counts the sessions that currently have a refresh cycle running
+     * @returns {number} Number of warm chats
+     */
+    function countActiveSessions() {
+        let count = 0;
+        for (const session of sessions.values()) {
+            if (isSessionActive(session)) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Removes a session, stopping its refresh cycle first
+     * @param {string} chatId - Chat ID of the session to remove
+     */
+    function removeSession(chatId) {
+        const session = sessions.get(chatId);
+        if (!session) return;
+
+        // Removed from the registry first, so other tabs keep their own session of the chat
+        sessions.delete(chatId);
+        finishRefreshCycle(session);
+        hooks.log(`Session removed for chat ${chatId}`);
+    }
+
+    /**
+     * Drops the least recently active sessions until the registry fits within the warm chat limit
+     * @param {string|null} keepChatId - Chat ID that must never be evicted (usually the one just created)
+     */
+    function evictSessions(keepChatId = null) {
+        const limit = Math.max(1, hooks.getMaxSessions());
+
+        while (sessions.size > limit) {
+            let oldest = null;
+            for (const session of sessions.values()) {
+                if (session.chatId === keepChatId) continue;
+                if (!oldest || session.lastActivity < oldest.lastActivity) {
+                    oldest = session;
+                }
+            }
+
+            if (!oldest) break;
+            hooks.log(`Warm chat limit reached, evicting chat ${oldest.chatId}`);
+            removeSession(oldest.chatId);
+        }
+    }
+
+    /**
+     * Stops every refresh cycle and forgets all captured prompts
+     */
+    function clearAllSessions() {
+        for (const chatId of [...sessions.keys()]) {
+            removeSession(chatId);
+        }
+    }
+
+    /**
+     * Resets the budget of a session and schedules its first refresh
+     * @param {RefreshSession} session - Session to start the cycle for
+     * @param {number} budget - Number of refreshes to allow, 0 for no limit
+     */
+    function beginRefreshCycle(session, budget = hooks.getMaxRefreshes(session)) {
+        session.refreshesLeft = budget > 0 ? budget : Infinity;
+        session.cycleStartedAt = Date.now();
+        session.stopReason = null;
+        session.retryAttempt = 0;
+        hooks.onCycleStarted(session);
+        scheduleNextRefresh(session);
+        hooks.onUpdate(session);
+    }
+
+    /**
+     * Ends the refresh cycle of a session because it can't or shouldn't go on
+     * @param {RefreshSession} session - Session to end
+     * @param {string} reason - Why the cycle ended
+     */
+    function endRefreshCycle(session, reason) {
+        session.stopReason = reason;
+        finishRefreshCycle(session);
+        hooks.log(`Refresh cycle ended for chat ${session.chatId}: ${reason}`);
+    }
+
+    /**
+     * Stops the refresh cycle of a session for good, reporting it as stopped if it was running
+     * @param {RefreshSession} session - Session to stop
+     */
+    function finishRefreshCycle(session) {
+        const wasActive = isSessionActive(session);
+        stopRefreshCycle(session);
+        if (wasActive) {
+            hooks.onCycleStopped(session);
+        }
+    }
+
+    /**
+     * Stops the refresh cycle of a session
+     * Cleans up its timer and resets its countdown. Used on its own before a cycle is rearmed,
+     * so it isn't reported as stopped.
+     * @param {RefreshSession} session - Session to stop
+     */
+    function stopRefreshCycle(session) {
+        if (session.refreshTimer) {
+            clearTimeout(session.refreshTimer);
+            session.refreshTimer = null;
+        }
+        session.nextRefreshTime = null;
+
+        hooks.onCycleChange(session);
+        hooks.log(`Refresh cycle stopped for chat ${session.chatId}`);
+    }
+
+    /**
+     * Reschedules every session with a pending refresh, e.g. after the interval setting changed
+     * Sessions whose settings turned refreshing off stop instead.
+     */
+    function rescheduleActiveSessions() {
+        for (const session of sessions.values()) {
+            if (session.refreshTimer) {
+                stopRefreshCycle(session);
+                scheduleNextRefresh(session);
+            }
+        }
+    }
+
+    /**
+     * Schedules the next refresh of a session
+     * @param {RefreshSession} session - Session to schedule
+     * @param {number} delay - Delay before the refresh in milliseconds, defaults to the refresh interval
+     */
+    function scheduleNextRefresh(session, delay = hooks.getInterval(session)) {
+        // Don't schedule if the extension is disabled or no prompt
+        if (!hooks.isEnabled(session) || !session.prompt) {
+            finishRefreshCycle(session);
+            return;
+        }
+
+        // Refreshing is pointless when reading the cache doesn't extend its lifetime
+        const profile = hooks.getTtlProfile(session);
+        if (!profile.resetsTtl) {
+            hooks.log(`${profile.label} doesn't extend the cache on reuse, not scheduling refreshes`);
+            session.refreshesLeft = 0;
+            finishRefreshCycle(session);
+            return;
+        }
+
+        // Let the refresh policy decide whether the chat is still worth keeping warm
+        const decision = hooks.checkPolicy(session);
+        if (!decision.allow) {
+            endRefreshCycle(session, decision.reason);
+            return;
+        }
+
+        armRefreshTimer(session, delay);
+        hooks.log(`Next refresh for chat ${session.chatId} scheduled in ${delay / 1000} seconds`);
+        hooks.onCycleChange(session);
+    }
+
+    /**
+     * Sets the timer of the next refresh of a session, replacing any pending one
+     * @param {RefreshSession} session - Session to arm
+     * @param {number} delay - Delay before the refresh in milliseconds
+     */
+    function armRefreshTimer(session, delay) {
+        if (session.refreshTimer) {
+            clearTimeout(session.refreshTimer);
+        }
+
+        // Store the next refresh time for the countdown display
+        session.nextRefreshTime = Date.now() + delay;
+        session.refreshTimer = setTimeout(() => {
+            session.refreshTimer = null;
+            refreshCache(session);
+        }, delay);
+    }
+
+    /**
+     * Resumes a stopped refresh cycle with its remaining budget
+     * The next refresh is due one interval after the cache was last touched, or right away if that has passed.
+     * @param {RefreshSession} session - Session to resume
+     */
+    function resumeRefreshCycle(session) {
+        if (!hooks.isEnabled(session) || !session.prompt) return;
+
+        session.stopReason = null;
+        scheduleNextRefresh(session, Math.max(0, hooks.getInterval(session) - (Date.now() - session.lastActivity)));
+        hooks.onUpdate(session);
+    }
+
+    /**
+     * Restarts the cache lifetime of a session after its prefix was sent to the provider
+     * A running cycle is rescheduled a full interval from now; a stopped one only remembers
+     * the time, so typing can still resume it while the cache is warm.
+     * @param {RefreshSession} session - Session whose cache was touched
+     */
+    function touchSessionCache(session) {
+        session.lastActivity = Date.now();
+        if (session.refreshTimer) {
+            scheduleNextRefresh(session);
+        } else {
+            hooks.onCycleChange(session);
+        }
+    }
+
+    /**
+     * Performs a cache refresh by sending a minimal request to the API
+     * Only one refresh of a session is in flight at a time. A transient error is retried with
+     * backoff while the cache can still be saved; any other error ends the cycle.
+     * @param {RefreshSession} session - Session whose prompt should be refreshed
+     * @param {boolean} manual - Whether the refresh was requested by the user, bypassing the policy and budget
+     * @param {string} manualReason - Why the manual refresh was sent
+     * @returns {Promise<boolean>} True if the refresh succeeded
+     */
+    async function refreshCache(session, manual = false, manualReason = 'it was requested manually') {
+        // Don't refresh if we don't have a prompt or if a refresh is already in progress
+        if (!session.prompt || session.refreshInProgress) return false;
+
+        // Another tab or the server sends the scheduled refreshes and shares the new countdown when it did
+        if (!manual && !hooks.isRefresher(session)) {
+            hooks.log(`Another tab or the server refreshes chat ${session.chatId}, checking again later`);
+            armRefreshTimer(session, FOLLOWER_CHECK_DELAY);
+            return false;
+        }
+
+        // A running generation of the chat touches the cache itself and restarts the countdown when it ends
+        if (hooks.isGenerating(session)) {
+            hooks.log(`A generation of chat ${session.chatId} is running, not sending a refresh`);
+            if (!manual) {
+                armRefreshTimer(session, hooks.getInterval(session));
+            }
+            return false;
+        }
+
+        // Signals may have changed since the refresh was scheduled, e.g. the tab got hidden
+        const decision = manual
+            ? { allow: true, consumeBudget: false, reason: manualReason }
+            : hooks.checkPolicy(session);
+        if (!decision.allow) {
+            endRefreshCycle(session, decision.reason);
+            return false;
+        }
+
+        // Set the flag to prevent concurrent refreshes
+        const controller = new AbortController();
+        session.refreshInProgress = true;
+        session.abortController = controller;
+        hooks.onUpdate(session);
+
+        /** @type {RefreshOutcome} */
+        const outcome = {
+            succeeded: false,
+            aborted: false,
+            manual,
+            decision,
+            startedAt: Date.now(),
+            latency: 0,
+            model: '',
+            data: null,
+            error: null,
+            category: null,
+            retryDelay: null,
+            failReason: null,
+        };
+
+        try {
+            hooks.log('Refreshing cache with data', session);
+
+            const { endpoint, payload } = await hooks.buildRequest(session);
+            outcome.model = payload.model ?? session.api;
+
+            // A generation may have started while the request was being built
+            controller.signal.throwIfAborted();
+
+            const sentAt = Date.now();
+            outcome.data = await hooks.sendRequest(endpoint, payload, controller.signal);
+            outcome.latency = Date.now() - sentAt;
+            outcome.succeeded = true;
+            hooks.log('Cache refresh response:', outcome.data);
+        } catch (error) {
+            outcome.error = error;
+            outcome.latency = Date.now() - outcome.startedAt;
+
+            if (controller.signal.aborted) {
+                // Not a failure: the generation that aborted it touches the cache instead
+                hooks.log(`Refresh of chat ${session.chatId} aborted by a generation`);
+                outcome.aborted = true;
+            } else {
+                hooks.log('Cache refresh failed', error);
+                outcome.category = classifyRefreshError(error);
+
+                if (outcome.category === ErrorCategory.RETRYABLE) {
+                    // Retry quickly, but only while the cache can still be saved
+                    const timeLeft = session.lastActivity + hooks.getTtlProfile(session).ttl - Date.now();
+                    outcome.retryDelay = getRetryDelay(session.retryAttempt, timeLeft);
+                    if (outcome.retryDelay === null) {
+                        outcome.failReason = 'cache expired while retrying';
+                    } else {
+                        session.retryAttempt++;
+                    }
+                } else if (outcome.category === ErrorCategory.AUTH) {
+                    outcome.failReason = AUTH_PAUSE_REASON;
+                } else {
+                    outcome.failReason = `refresh failed: ${error.message}`;
+                }
+            }
+        } finally {
+            // Only a successful refresh uses up the budget and extends the cache lifetime
+            if (outcome.succeeded) {
+                if (decision.consumeBudget) {
+                    session.refreshesLeft--;
+                }
+                session.retryAttempt = 0;
+                session.lastActivity = Date.now();
+            }
+            hooks.onRefreshSettled(session, outcome);
+
+            // The session may have been evicted, cleared, paused or stopped by the user while the request was in flight.
+            // It still counts as running here, so a cycle that ends now is reported as stopped.
+            if (sessions.get(session.chatId) === session && ![USER_PAUSE_REASON, USER_STOP_REASON].includes(session.stopReason)) {
+                if (outcome.failReason) {
+                    endRefreshCycle(session, outcome.failReason);
+                } else {
+                    scheduleNextRefresh(session, outcome.retryDelay ?? hooks.getInterval(session));
+                }
+            }
+
+            // Always clean up, even if there was an error
+            session.refreshInProgress = false;
+            session.abortController = null;
+            hooks.onUpdate(session);
+        }
+
+        return outcome.succeeded;
+    }
+
+    /**
+     * Aborts the refresh of a session that is in flight, e.g. because the user sent a message
+     * The two requests never run side by side for long; the generation is counted as the cache
+     * touch instead, and the countdown restarts when it ends.
+     * @param {RefreshSession|null} session - Session whose refresh to abort
+     * @returns {boolean} True if a refresh was in flight
+     */
+    function abortRefresh(session) {
+        if (!session?.refreshInProgress || !session.abortController) return false;
+
+        session.abortController.abort();
+        return true;
+    }
+
+    return {
+        sessions,
+        getSession,
+        isSessionActive,
+        countActiveSessions,
+        removeSession,
+        evictSessions,
+        clearAllSessions,
+        beginRefreshCycle,
+        endRefreshCycle,
+        stopRefreshCycle,
+        rescheduleActiveSessions,
+        scheduleNextRefresh,
+        armRefreshTimer,
+        resumeRefreshCycle,
+        touchSessionCache,
+        refreshCache,
+        abortRefresh,
+    };
+}
@@ -0,0 +1,70 @@
+/**
+ * Server keep-alive
+ *
+ * Talks to the optional Cache Refresher server plugin in server-plugin/. Browsers throttle the
+ * timers of background tabs and stop them on a locked phone; when the plugin is installed, the
+ * extension hands every running cycle to the server, which keeps sending the refreshes, and the
+ * page only mirrors the countdown and records the results. Without the plugin its routes don't
+ * exist, every call reports it as missing and refreshes stay on the browser timers.
+ */
+
+import { classifyRefreshError, RefreshError } from './errors.js';
+
+// Base URL of the plugin's routes
+export const SERVER_PLUGIN_URL = '/api/plugins/cache-refresher';
+
+// How often the refresher tab checks the plugin for results, in milliseconds
+export const SERVER_SYNC_INTERVAL = 10 * 1000;
+
+/**
+ * Calls a route of the server plugin
+ * @param {'status'|'schedule'|'reschedule'|'cancel'} route - Route to call
+ * @param {Object} body - Request body
+ * @param {Object} headers - Request headers, including SillyTavern's CSRF token
+ * @returns {Promise<Object|null>} Response of the plugin, null if it isn't installed
+ * @throws {Error} If the plugin answered with an error
+ */
+export async function callServerPlugin(route, body, headers) {
+    const response = await fetch(`${SERVER_PLUGIN_URL}/${route}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+    });
+
+    // SillyTavern answers unknown routes with 404, which is all there is without the plugin
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`Server plugin answered with status ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Converts a refresh the plugin sent into the outcome the extension records for its own refreshes
+ * @param {Object} result - Result reported by the plugin
+ * @param {number} offset - Difference between the browser's and the server's clock, in milliseconds
+ * @returns {import('./scheduler.js').RefreshOutcome} The outcome
+ */
+export function toRefreshOutcome(result, offset) {
+    const error = result.error
+        ? new RefreshError(result.error.message, { status: result.error.status ?? 0, type: result.error.type, quota: result.error.quota, network: result.error.network })
+        : null;
+
+    return {
+        succeeded: result.succeeded,
+        aborted: false,
+        manual: false,
+        decision: { allow: true, consumeBudget: true, reason: 'the server plugin sent it' },
+        startedAt: result.startedAt + offset,
+        latency: result.latency,
+        model: result.model,
+        data: result.data,
+        error,
+        category: error ? classifyRefreshError(error) : null,
+        retryDelay: result.retryDelay,
+        failReason: null,
+    };
+}
@@ -0,0 +1,138 @@
+/**
+ * Cross-tab coordination
+ *
+ * Every open SillyTavern tab loads the extension and runs its own refresh timers. To avoid
+ * paying twice for the same chat, the tabs elect a single refresher through a lease in
+ * localStorage, renewed by a heartbeat. The tab the user looks at claims the lease, so the
+ * refresher always sees the user's activity; when the refresher goes away, the lease expires
+ * and another tab takes over. Session state is exchanged over a BroadcastChannel so every tab
+ * can take over with the current prompt, budget and countdown.
+ *
+ * Only tabs of the same browser can coordinate; a desktop and a phone still refresh separately.
+ */
+
+// How often the refresher renews its lease, in milliseconds
+const HEARTBEAT_INTERVAL = 5 * 1000;
+// How long a lease stays valid without renewal, in milliseconds
+const LEASE_DURATION = 15 * 1000;
+
+/**
+ * @typedef {Object} TabSync
+ * @property {string} tabId - Random ID of this tab
+ * @property {() => boolean} isLeader - Whether this tab is the one sending refreshes
+ * @property {(message: Object) => void} post - Sends a message to the other tabs
+ * @property {() => void} claim - Makes this tab the refresher
+ */
+
+/**
+ * @typedef {Object} TabSyncOptions
+ * @property {string} name - Name of the broadcast channel and prefix of the lease key
+ * @property {(message: Object) => void} onMessage - Called with messages posted by other tabs
+ * @property {(leader: boolean) => void} onLeaderChange - Called when this tab gains or loses the refresher role
+ */
+
+/**
+ * Creates the coordination between the tabs of this browser
+ * Without BroadcastChannel support every tab acts as the refresher, like before.
+ * @param {TabSyncOptions} options - Channel name and callbacks
+ * @returns {TabSync} Coordination handle
+ */
+export function createTabSync({ name, onMessage, onLeaderChange }) {
+    const tabId = Math.random().toString(36).slice(2, 10);
+    const leaseKey = `${name}_leader`;
+
+    if (typeof BroadcastChannel === 'undefined') {
+        return { tabId, isLeader: () => true, post: () => {}, claim: () => {} };
+    }
+
+    const channel = new BroadcastChannel(name);
+    let wasLeader = false;
+
+    const readLease = () => {
+        try {
+            return JSON.parse(localStorage.getItem(leaseKey) ?? 'null');
+        } catch {
+            return null;
+        }
+    };
+
+    const writeLease = () => {
+        localStorage.setItem(leaseKey, JSON.stringify({ tabId, expiresAt: Date.now() + LEASE_DURATION }));
+    };
+
+    const isLeader = () => {
+        const lease = readLease();
+        if (lease?.tabId !== tabId) return false;
+
+        // Browsers run the timers of hidden tabs as rarely as once a minute, so the lease can run
+        // out between heartbeats; as long as no other tab took it over, it is still this tab's
+        if (lease.expiresAt <= Date.now()) {
+            writeLease();
+        }
+        return true;
+    };
+
+    // Reports role changes once, whatever noticed them first
+    const checkRole = () => {
+        const leader = isLeader();
+        if (leader !== wasLeader) {
+            wasLeader = leader;
+            onLeaderChange(leader);
+        }
+    };
+
+    const claim = () => {
+        writeLease();
+        channel.postMessage({ type: 'leader', tabId });
+        checkRole();
+    };
+
+    const post = (message) => {
+        channel.postMessage(message);
+    };
+
+    channel.addEventListener('message', (event) => {
+        if (event.data?.type === 'leader') {
+            // The refresher closed, take over if nobody else did yet
+            if (event.data.tabId === null && !readLease()) {
+                claim();
+            }
+            checkRole();
+            return;
+        }
+        onMessage(event.data);
+    });
+
+    // Renew the lease, or take it over once the refresher stopped renewing it
+    setInterval(() => {
+        const lease = readLease();
+        if (!lease || lease.expiresAt <= Date.now()) {
+            claim();
+        } else if (lease.tabId === tabId) {
+            writeLease();
+        }
+        checkRole();
+    }, HEARTBEAT_INTERVAL);
+
+    // The tab the user switches to becomes the refresher
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            claim();
+        }
+    });
+
+    // Hand the role over right away instead of waiting for the lease to expire
+    window.addEventListener('pagehide', () => {
+        if (isLeader()) {
+            localStorage.removeItem(leaseKey);
+            channel.postMessage({ type: 'leader', tabId: null });
+        }
+    });
+
+    const lease = readLease();
+    if (document.visibilityState === 'visible' || !lease || lease.expiresAt <= Date.now()) {
+        claim();
+    }
+
+    return { tabId, isLeader, post, claim };
+}
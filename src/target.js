@@ -0,0 +1,96 @@
+/**
+ * Refresh targets
+ *
+ * A cache only lives on the provider, model and account that wrote it. The target of a session
+ * is a snapshot of that connection taken when its prompt is captured, so refreshes keep going
+ * to the same place after the user switches models or connection profiles. The snapshot holds
+ * everything a request can be rebuilt from except the API key, which SillyTavern keeps on the
+ * server; when the active key of the source changes, the target can no longer be honoured.
+ */
+
+/**
+ * Connection a prompt was captured for
+ * @typedef {Object} RefreshTarget
+ * @property {string} api - Main API
+ * @property {string} source - Chat completion source or text completion backend type
+ * @property {string} model - Model the prompt was sent to, empty if the backend names none
+ * @property {Object|null} settings - Copy of the chat completion settings, null for text completion
+ * @property {string|null} secretKey - Secret the backend reads the API key from, null if the source needs none
+ * @property {string|null} secretId - ID of the API key that was active, null if none was
+ */
+
+/**
+ * Gets the ID of the active API key of a secret
+ * @param {Object} secretState - SillyTavern's secret state: lists of keys by secret
+ * @param {string|null} secretKey - Secret to look up
+ * @returns {string|null} ID of the active key, or null if there is none
+ */
+export function getActiveSecretId(secretState, secretKey) {
+    const secrets = secretKey ? secretState?.[secretKey] : null;
+    if (!Array.isArray(secrets)) return null;
+
+    return secrets.find(secret => secret.active)?.id ?? null;
+}
+
+/**
+ * Takes the snapshot of the connection a prompt is captured for
+ * @param {Object} connection - The connection in use
+ * @param {string} connection.api - Main API
+ * @param {Object|null} connection.completionSettings - Chat completion settings, null for text completion
+ * @param {Object|null} connection.request - Captured text completion request body, null for chat completion
+ * @param {(settings: Object) => string} connection.getModel - Gets the model selected in chat completion settings
+ * @param {string|null} connection.secretKey - Secret the backend reads the API key from
+ * @param {Object} connection.secretState - SillyTavern's secret state
+ * @returns {RefreshTarget} The snapshot, independent of later changes to the settings
+ */
+export function createRefreshTarget({ api, completionSettings, request, getModel, secretKey, secretState }) {
+    const settings = completionSettings ? structuredClone(completionSettings) : null;
+
+    return {
+        api,
+        source: settings?.chat_completion_source ?? request?.api_type ?? api,
+        model: settings ? getModel(settings) ?? '' : request?.model ?? '',
+        settings,
+        secretKey: secretKey ?? null,
+        secretId: getActiveSecretId(secretState, secretKey),
+    };
+}
+
+/**
+ * Checks whether refreshes can still be sent to a target
+ * @param {RefreshTarget|null} target - Target of the session
+ * @param {Object} secretState - SillyTavern's current secret state
+ * @returns {string|null} Why the target can't be honoured, or null if it can
+ */
+export function checkRefreshTarget(target, secretState) {
+    if (!target) {
+        return 'the connection of the prompt is unknown';
+    }
+
+    if (target.secretKey && getActiveSecretId(secretState, target.secretKey) !== target.secretId) {
+        return `the ${target.source} API key changed since the prompt was captured`;
+    }
+
+    return null;
+}
+
+/**
+ * Checks whether two targets send to the same source and model
+ * @param {RefreshTarget|null} a - First target
+ * @param {RefreshTarget|null} b - Second target
+ * @returns {boolean} True if a prompt built for one is the prompt of the other
+ */
+export function isSameConnection(a, b) {
+    return Boolean(a && b) && a.api === b.api && a.source === b.source && a.model === b.model;
+}
+
+/**
+ * Describes a target for the settings panel and notices
+ * @param {RefreshTarget|null} target - Target to describe
+ * @returns {string} Source and model, e.g. "claude / claude-sonnet-4"
+ */
+export function describeRefreshTarget(target) {
+    if (!target) return 'unknown';
+
+    return target.model ? `${target.source} / ${target.model}` : target.source;
+}
@@ -0,0 +1,106 @@
+/**
+ * Cache TTL profiles for the supported chat completion sources
+ *
+ * Each provider keeps prompt caches alive for a different amount of time, and not all of them
+ * extend that lifetime when the cached prefix is reused. The refresh interval is derived from
+ * the profile of the source that is currently selected in the chat completion settings.
+ */
+
+/**
+ * @typedef {Object} TtlProfile
+ * @property {string} label - Human readable name of the profile
+ * @property {number} ttl - How long the provider keeps an unused cache, in milliseconds
+ * @property {number} margin - Safety margin subtracted from the TTL, in milliseconds
+ * @property {boolean} resetsTtl - Whether a request that reads the cache resets its TTL
+ */
+
+/**
+ * @typedef {TtlProfile & {key: string, interval: number, overridden: boolean}} ResolvedTtlProfile
+ */
+
+// Key of the profile used for sources that have no entry in the table
+export const FALLBACK_PROFILE_KEY = 'custom';
+
+// Refresh intervals shorter than this are never scheduled, whatever the profile says
+const MIN_INTERVAL = 10 * 1000;
+
+/** @type {Object<string, TtlProfile>} */
+export const ttlProfiles = {
+    claude: {
+        label: 'Anthropic Claude',
+        ttl: 5 * 60 * 1000,         // Ephemeral cache, 5 minutes (use an override for the 1-hour TTL)
+        margin: 30 * 1000,
+        resetsTtl: true,
+    },
+    openrouter: {
+        label: 'OpenRouter',
+        ttl: 5 * 60 * 1000,         // Follows the upstream provider, Claude models use the 5 minute cache
+        margin: 30 * 1000,
+        resetsTtl: true,
+    },
+    openai: {
+        label: 'OpenAI',
+        ttl: 5 * 60 * 1000,         // Prefixes stay cached for 5-10 minutes of inactivity
+        margin: 30 * 1000,
+        resetsTtl: true,
+    },
+    azure_openai: {
+        label: 'Azure OpenAI',
+        ttl: 5 * 60 * 1000,
+        margin: 30 * 1000,
+        resetsTtl: true,
+    },
+    deepseek: {
+        label: 'DeepSeek',
+        ttl: 60 * 60 * 1000,        // Disk cache that is cleared after hours of inactivity
+        margin: 5 * 60 * 1000,
+        resetsTtl: false,
+    },
+    makersuite: {
+        label: 'Google AI Studio',
+        ttl: 60 * 60 * 1000,        // Context caches expire on their own TTL, requests don't extend it
+        margin: 60 * 1000,
+        resetsTtl: false,
+    },
+    vertexai: {
+        label: 'Google Vertex AI',
+        ttl: 60 * 60 * 1000,
+        margin: 60 * 1000,
+        resetsTtl: false,
+    },
+    [FALLBACK_PROFILE_KEY]: {
+        label: 'Custom',
+        ttl: 5 * 60 * 1000,         // Replaced by the fallback refresh interval when resolved
+        margin: 0,
+        resetsTtl: true,
+    },
+};
+
+/**
+ * Resolves the TTL profile for a chat completion source, applying user overrides
+ * @param {string|null} source - Chat completion source, e.g. 'claude' or 'openai'
+ * @param {Object<string, Partial<TtlProfile>>} overrides - User overrides keyed by profile key
+ * @param {number} fallbackInterval - Refresh interval used for sources without a profile, in milliseconds
+ * @returns {ResolvedTtlProfile} The effective profile, including the refresh interval to use
+ */
+export function resolveTtlProfile(source, overrides = {}, fallbackInterval = ttlProfiles[FALLBACK_PROFILE_KEY].ttl) {
+    const key = source && ttlProfiles[source] ? source : FALLBACK_PROFILE_KEY;
+    const base = { ...ttlProfiles[key] };
+
+    // Without a known profile, the fallback interval is treated as a TTL with no margin
+    if (key === FALLBACK_PROFILE_KEY) {
+        base.ttl = fallbackInterval;
+        base.margin = 0;
+    }
+
+    const override = overrides?.[key] ?? {};
+    const overridden = Object.keys(override).length > 0;
+    const profile = Object.assign(base, override);
+
+    return {
+        ...profile,
+        key,
+        overridden,
+        interval: Math.max(MIN_INTERVAL, profile.ttl - profile.margin),
+    };
+}
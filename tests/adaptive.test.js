@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { applyRefreshOutcome, createAdaptiveState, getAdaptiveInterval, isCacheHit } from '../src/adaptive.js';
+
+const MINUTE = 60 * 1000;
+const BASE = 5 * MINUTE;
+const BOUNDS = { min: MINUTE, max: 60 * MINUTE };
+
+describe('adaptive interval', () => {
+    test('starts from the interval of the TTL profile, within the bounds', () => {
+        assert.equal(getAdaptiveInterval(createAdaptiveState(), BASE, BOUNDS), BASE);
+        assert.equal(getAdaptiveInterval(undefined, BASE, { min: MINUTE, max: 2 * MINUTE }), 2 * MINUTE);
+    });
+
+    test('a miss shortens the interval and remembers it as the ceiling', () => {
+        const state = applyRefreshOutcome(createAdaptiveState(), false, BASE, BOUNDS);
+
+        assert.equal(state.interval, 4 * MINUTE);
+        assert.equal(state.ceiling, BASE);
+        assert.equal(state.misses, 1);
+    });
+
+    test('only grows after enough hits in a row', () => {
+        const state = createAdaptiveState();
+        applyRefreshOutcome(state, true, BASE, BOUNDS);
+        applyRefreshOutcome(state, true, BASE, BOUNDS);
+        assert.equal(state.interval, BASE);
+
+        applyRefreshOutcome(state, true, BASE, BOUNDS);
+        assert.equal(state.interval, 5.5 * MINUTE);
+        assert.equal(state.consecutiveHits, 0);
+        assert.equal(state.hits, 3);
+    });
+
+    test('never grows up to an interval that missed, and counts the TTL as learned there', () => {
+        const state = applyRefreshOutcome(createAdaptiveState(), false, BASE, BOUNDS);
+        for (let i = 0; i < 12; i++) {
+            applyRefreshOutcome(state, true, BASE, BOUNDS);
+        }
+
+        assert.equal(state.interval, 0.95 * BASE);
+        assert.equal(state.learned, true);
+
+        applyRefreshOutcome(state, false, BASE, BOUNDS);
+        assert.equal(state.learned, false);
+        assert.equal(state.ceiling, 0.95 * BASE);
+    });
+
+    test('a refresh without prompt tokens tells nothing about the cache', () => {
+        assert.equal(isCacheHit(null), null);
+        assert.equal(isCacheHit({ promptTokens: 0, cachedTokens: 0 }), null);
+        assert.equal(isCacheHit({ promptTokens: 100, cachedTokens: 90 }), true);
+        assert.equal(isCacheHit({ promptTokens: 100, cachedTokens: 0 }), false);
+    });
+});
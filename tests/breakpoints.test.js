@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { CacheSegment, findCacheBreakpoints, placeCacheBreakpoints, supportsCacheBreakpoints } from '../src/breakpoints.js';
+import { fingerprintPrefix, getCacheablePrefixLength } from '../src/fingerprint.js';
+
+const LORE = 'The tower of Nerath stands on the northern cliffs.';
+
+/**
+ * Builds a prompt with the system prompt, the character, a lorebook entry and some chat history
+ * @returns {Array} Chat completion messages
+ */
+function buildPrompt() {
+    return [
+        { role: 'system', content: 'You are a narrator.' },
+        { role: 'system', content: 'Alice is a wandering knight.' },
+        { role: 'system', content: `[${LORE}]` },
+        { role: 'user', content: 'Hello' },
+        { role: 'assistant', content: 'Greetings, traveler.' },
+        { role: 'user', content: 'Where is the tower?' },
+        { role: 'assistant', content: 'North of here.' },
+        { role: 'user', content: 'Take me there.' },
+        { role: 'assistant', content: 'Follow me.' },
+        { role: 'user', content: 'Let\'s go.' },
+    ];
+}
+
+describe('cache breakpoints', () => {
+    test('end the definitions, the lorebook and the history at depth, most valuable first', () => {
+        const breakpoints = findCacheBreakpoints(buildPrompt(), { lorebook: [LORE], depth: 2, limit: 4 });
+
+        assert.deepEqual(breakpoints, [
+            { segment: CacheSegment.HISTORY, end: 8 },
+            { segment: CacheSegment.DEFINITIONS, end: 2 },
+            { segment: CacheSegment.LOREBOOK, end: 3 },
+            { segment: CacheSegment.PREVIOUS_TURN, end: 6 },
+        ]);
+    });
+
+    test('without lorebook entries the definitions cover every leading system message', () => {
+        const breakpoints = findCacheBreakpoints(buildPrompt(), { lorebook: [], depth: 2, limit: 2 });
+
+        assert.deepEqual(breakpoints, [
+            { segment: CacheSegment.HISTORY, end: 8 },
+            { segment: CacheSegment.DEFINITIONS, end: 3 },
+        ]);
+    });
+
+    test('are placed on the last text of their messages, leaving room for markers already there', () => {
+        const prompt = buildPrompt();
+        prompt[0].content = [{ type: 'text', text: 'You are a narrator.', cache_control: { type: 'ephemeral' } }];
+
+        const placed = placeCacheBreakpoints(prompt, { lorebook: [LORE], depth: 2, limit: 4 });
+
+        assert.deepEqual(placed.map(breakpoint => breakpoint.end), [2, 3, 8]);
+        assert.deepEqual(prompt[7].content, [{ type: 'text', text: 'Take me there.', cache_control: { type: 'ephemeral' } }]);
+        assert.equal(prompt[8].content, 'Follow me.');
+    });
+
+    test('don\'t change the fingerprint or move the cacheable prefix', () => {
+        const prompt = buildPrompt();
+        const fingerprint = fingerprintPrefix(prompt, getCacheablePrefixLength(prompt, 2));
+
+        placeCacheBreakpoints(prompt, { lorebook: [LORE], depth: 2, limit: 4 });
+
+        assert.equal(getCacheablePrefixLength(prompt, 2), 8);
+        assert.equal(fingerprintPrefix(prompt, 8), fingerprint);
+    });
+
+    test('are only managed where the markers reach a Claude model', () => {
+        assert.equal(supportsCacheBreakpoints('openrouter', 'anthropic/claude-sonnet-4'), true);
+        assert.equal(supportsCacheBreakpoints('claude', 'claude-sonnet-4'), false);
+        assert.equal(supportsCacheBreakpoints('openrouter', 'openai/gpt-4o'), false);
+    });
+});
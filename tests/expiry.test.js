@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { getDueExpiryWarning, getNextExpiryCheck, parseExpiryThresholds } from '../src/expiry.js';
+
+const THRESHOLDS = [60 * 1000, 15 * 1000];
+
+describe('expiry warnings', () => {
+    test('thresholds are parsed into milliseconds, longest first', () => {
+        assert.deepEqual(parseExpiryThresholds('15, 60, 15'), THRESHOLDS);
+        assert.deepEqual(parseExpiryThresholds(' '), []);
+        assert.throws(() => parseExpiryThresholds('60, soon'), /"soon"/);
+        assert.throws(() => parseExpiryThresholds('0'));
+    });
+
+    test('warn once per threshold as the cache runs out', () => {
+        assert.equal(getDueExpiryWarning(90 * 1000, THRESHOLDS, -1), null);
+        assert.equal(getDueExpiryWarning(60 * 1000, THRESHOLDS, -1), 0);
+        assert.equal(getDueExpiryWarning(30 * 1000, THRESHOLDS, 0), null);
+        assert.equal(getDueExpiryWarning(10 * 1000, THRESHOLDS, 0), 1);
+        assert.equal(getDueExpiryWarning(5 * 1000, THRESHOLDS, 1), null);
+    });
+
+    test('a tab that slept through several thresholds only gives the latest warning', () => {
+        assert.equal(getDueExpiryWarning(10 * 1000, THRESHOLDS, -1), 1);
+    });
+
+    test('check again at the next threshold, then when the cache expires', () => {
+        assert.equal(getNextExpiryCheck(90 * 1000, THRESHOLDS, -1), 30 * 1000);
+        assert.equal(getNextExpiryCheck(60 * 1000, THRESHOLDS, 0), 45 * 1000);
+        assert.equal(getNextExpiryCheck(15 * 1000, THRESHOLDS, 1), 15 * 1000);
+        assert.equal(getNextExpiryCheck(30 * 1000, [], -1), 30 * 1000);
+    });
+});
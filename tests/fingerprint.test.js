@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { fingerprintPrefix, getCacheablePrefixLength, trimToCacheablePrefix } from '../src/fingerprint.js';
+
+const prompt = [
+    { role: 'system', content: 'You are Alice.' },
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: 'Hello!' },
+    { role: 'user', content: 'How are you?' },
+    { role: 'assistant', content: 'Fine, thanks.' },
+    { role: 'system', content: '[Author\'s note]' },
+    { role: 'user', content: 'Tell me a story.' },
+    { role: 'assistant', content: 'Once' },
+];
+
+describe('trimming to the cacheable prefix', () => {
+    test('replaces the turns after the breakpoint with one minimal message each', () => {
+        const prefixLength = getCacheablePrefixLength(prompt, 2);
+        const trimmed = trimToCacheablePrefix(prompt, prefixLength);
+
+        assert.equal(prefixLength, 4);
+        assert.deepEqual(trimmed.slice(0, 4), prompt.slice(0, 4));
+        assert.deepEqual(trimmed.slice(4), [{ role: 'assistant', content: '.' }, { role: 'user', content: '.' }]);
+    });
+
+    test('keeps the breakpoint at the same depth', () => {
+        const prefixLength = getCacheablePrefixLength(prompt, 2);
+        const trimmed = trimToCacheablePrefix(prompt, prefixLength);
+
+        assert.equal(getCacheablePrefixLength(trimmed, 2), prefixLength);
+        assert.equal(fingerprintPrefix(trimmed, prefixLength), fingerprintPrefix(prompt, prefixLength));
+    });
+
+    test('drops only the prefill when the breakpoint is on the last turn', () => {
+        const trimmed = trimToCacheablePrefix(prompt, getCacheablePrefixLength(prompt, 0));
+
+        assert.deepEqual(trimmed, prompt.slice(0, -1));
+    });
+
+    test('leaves the captured prompt untouched', () => {
+        const snapshot = structuredClone(prompt);
+
+        trimToCacheablePrefix(prompt, 4);
+
+        assert.deepEqual(prompt, snapshot);
+    });
+
+    test('returns text completion prompts and prompts without a prefix as they are', () => {
+        assert.equal(trimToCacheablePrefix('Once upon a time', 16), 'Once upon a time');
+        assert.equal(trimToCacheablePrefix(prompt, 0), prompt);
+    });
+});
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { addSpend, checkSpendLimits, countAllowedRefreshes, createSpendCounter, getWindowEnd, isWithinWindows, parseTimeWindows } from '../src/guardrails.js';
+
+const NO_LIMITS = { dailyTokenLimit: 0, dailyCostLimit: 0, monthlyTokenLimit: 0, monthlyCostLimit: 0 };
+
+/**
+ * Gets a local time on 1 June 2025
+ * @param {number} hours - Hour of the day
+ * @param {number} [minutes] - Minute of the hour
+ * @returns {Date} The time
+ */
+function at(hours, minutes = 0) {
+    return new Date(2025, 5, 1, hours, minutes);
+}
+
+describe('keep-warm hours', () => {
+    test('windows are parsed into minutes since midnight', () => {
+        assert.deepEqual(parseTimeWindows('09:00-12:00, 22:30-02:00'), [{ start: 540, end: 720 }, { start: 1350, end: 120 }]);
+        assert.deepEqual(parseTimeWindows(' '), []);
+        assert.deepEqual(parseTimeWindows('18:00-24:00'), [{ start: 1080, end: 1440 }]);
+    });
+
+    test('malformed windows are rejected', () => {
+        assert.throws(() => parseTimeWindows('9-12'), /9-12/);
+        assert.throws(() => parseTimeWindows('09:00-09:00'));
+        assert.throws(() => parseTimeWindows('09:00-25:00'));
+        assert.throws(() => parseTimeWindows('09:00-10:00-11:00'));
+    });
+
+    test('the end of a window is excluded, and windows may span midnight', () => {
+        const windows = parseTimeWindows('09:00-12:00, 22:00-02:00');
+
+        assert.equal(isWithinWindows(windows, at(9)), true);
+        assert.equal(isWithinWindows(windows, at(12)), false);
+        assert.equal(isWithinWindows(windows, at(23, 30)), true);
+        assert.equal(isWithinWindows(windows, at(1, 59)), true);
+        assert.equal(isWithinWindows(windows, at(2)), false);
+        assert.equal(isWithinWindows([], at(4)), true);
+    });
+
+    test('a window spanning midnight ends tomorrow when checked before midnight', () => {
+        const windows = parseTimeWindows('22:00-02:00');
+
+        assert.equal(getWindowEnd(windows, at(23)), new Date(2025, 5, 2, 2).getTime());
+        assert.equal(getWindowEnd(windows, at(1)), at(2).getTime());
+        assert.equal(getWindowEnd(windows, at(12)), null);
+        assert.equal(getWindowEnd([], at(12)), null);
+    });
+
+    test('overlapping windows end with the one that ends last', () => {
+        assert.equal(getWindowEnd(parseTimeWindows('09:00-12:00, 11:00-14:00'), at(11, 30)), at(14).getTime());
+    });
+});
+
+describe('spend limits', () => {
+    test('spend adds up until a limit is reached', () => {
+        const now = at(12).getTime();
+        const counter = createSpendCounter(now);
+        const limits = { ...NO_LIMITS, dailyTokenLimit: 10000, monthlyCostLimit: 1 };
+
+        addSpend(counter, 6000, 0.4, now);
+        assert.equal(checkSpendLimits(counter, limits, now), null);
+
+        addSpend(counter, 6000, 0.4, now);
+        assert.equal(checkSpendLimits(counter, limits, now), 'daily limit of 10000 tokens reached');
+        assert.equal(checkSpendLimits(counter, NO_LIMITS, now), null);
+    });
+
+    test('an unknown cost counts as nothing against the dollar limits', () => {
+        const now = at(12).getTime();
+        const counter = addSpend(createSpendCounter(now), 1000, null, now);
+
+        assert.equal(counter.dayCost, 0);
+        assert.equal(checkSpendLimits(counter, { ...NO_LIMITS, dailyCostLimit: 0.01 }, now), null);
+    });
+
+    test('the daily counters reset at midnight, the monthly ones in a new month', () => {
+        const counter = addSpend(createSpendCounter(at(12).getTime()), 5000, 0.5, at(12).getTime());
+        const limits = { ...NO_LIMITS, dailyTokenLimit: 5000, monthlyCostLimit: 0.5 };
+
+        const tomorrow = new Date(2025, 5, 2, 0, 1).getTime();
+        assert.equal(checkSpendLimits(counter, limits, tomorrow), 'monthly limit of $0.5 reached');
+        assert.equal(counter.dayTokens, 0);
+
+        const nextMonth = new Date(2025, 6, 1, 0, 1).getTime();
+        assert.equal(checkSpendLimits(counter, limits, nextMonth), null);
+        assert.equal(counter.monthCost, 0);
+    });
+
+    test('the refreshes left are counted against the tightest limit', () => {
+        const now = at(12).getTime();
+        const counter = addSpend(createSpendCounter(now), 2500, 0.1, now);
+        const limits = { ...NO_LIMITS, dailyTokenLimit: 10000, monthlyCostLimit: 0.2 };
+
+        assert.equal(countAllowedRefreshes(counter, limits, { tokens: 1000, cost: 0.03 }, now), 3);
+        assert.equal(countAllowedRefreshes(counter, limits, { tokens: 1000, cost: 0.01 }, now), 7);
+        assert.equal(countAllowedRefreshes(counter, NO_LIMITS, { tokens: 1000, cost: 0.01 }, now), null);
+    });
+
+    test('no refresh is allowed under a dollar limit when the cost is unknown', () => {
+        const now = at(12).getTime();
+        const counter = createSpendCounter(now);
+
+        assert.equal(countAllowedRefreshes(counter, { ...NO_LIMITS, dailyCostLimit: 1 }, { tokens: 1000, cost: null }, now), 0);
+        assert.equal(countAllowedRefreshes(counter, { ...NO_LIMITS, dailyTokenLimit: 5000 }, { tokens: 1000, cost: null }, now), 5);
+    });
+});
@@ -0,0 +1,183 @@
+/**
+ * Test helpers
+ *
+ * Stand-ins for what the scheduler gets from SillyTavern in the browser: an event bus like
+ * the context's eventSource, a generation request function, and a local stub provider that
+ * answers the way SillyTavern's generation endpoints do.
+ */
+
+import { createServer } from 'node:http';
+import { evaluateRefreshPolicy } from '../src/policy.js';
+import { createRefresher } from '../src/refresher.js';
+import { resolveTtlProfile } from '../src/ttl-profiles.js';
+
+/**
+ * Creates an event bus with the interface of SillyTavern's eventSource
+ * @returns {{on: Function, emit: Function, emitted: Array<{type: string, args: any[]}>}} Event bus recording every emitted event
+ */
+export function createFakeEventSource() {
+    const listeners = new Map();
+    const emitted = [];
+
+    return {
+        emitted,
+        on(type, listener) {
+            if (!listeners.has(type)) listeners.set(type, []);
+            listeners.get(type).push(listener);
+        },
+        async emit(type, ...args) {
+            emitted.push({ type, args });
+            for (const listener of listeners.get(type) ?? []) {
+                await listener(...args);
+            }
+        },
+    };
+}
+
+/**
+ * Creates a fake generation request function that answers from a queue
+ * Each queued response is response data, an Error to throw, or a function called with the
+ * abort signal of the request; once the queue is empty, every request succeeds with a cache hit.
+ * @returns {Function & {calls: Array<{endpoint: string, payload: Object}>, queue: Array}} The fake sender
+ */
+export function createFakeSender() {
+    const send = async (endpoint, payload, signal) => {
+        send.calls.push({ endpoint, payload });
+        const response = send.queue.length ? send.queue.shift() : cacheHitResponse();
+        if (response instanceof Error) throw response;
+        return typeof response === 'function' ? response(signal) : response;
+    };
+    send.calls = [];
+    send.queue = [];
+    return send;
+}
+
+/**
+ * Gets the response of a refresh that read the whole prompt from the cache
+ * @returns {Object} Chat completion response data
+ */
+export function cacheHitResponse() {
+    return {
+        model: 'claude-sonnet-4',
+        usage: { input_tokens: 10, cache_read_input_tokens: 5000, cache_creation_input_tokens: 0, output_tokens: 1 },
+    };
+}
+
+/**
+ * Starts a local HTTP server standing in for SillyTavern's generation endpoints
+ * @param {(request: {url: string, body: Object}) => {status?: number, body: any}} respond - Builds the response to each request
+ * @returns {Promise<{url: string, requests: Array<{url: string, body: Object}>, close: () => Promise<void>}>} Base URL and recorded requests
+ */
+export async function startStubProvider(respond) {
+    const requests = [];
+    const server = createServer((req, res) => {
+        let text = '';
+        req.on('data', chunk => text += chunk);
+        req.on('end', () => {
+            const request = { url: req.url, body: JSON.parse(text || 'null') };
+            requests.push(request);
+
+            const { status = 200, body } = respond(request);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(typeof body === 'string' ? body : JSON.stringify(body));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(() => resolve())),
+    };
+}
+
+/**
+ * Waits until every pending promise callback has run
+ * @returns {Promise<void>}
+ */
+export function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Builds a refresh request that sends the captured prompt as is
+ * @param {import('../src/scheduler.js').RefreshSession} session - Session to refresh
+ * @returns {Promise<{endpoint: string, payload: Object}>} Endpoint and payload of the request
+ */
+async function buildPromptRequest(session) {
+    return { endpoint: '/api/backends/chat-completions/generate', payload: { model: 'claude-sonnet-4', messages: session.prompt } };
+}
+
+/**
+ * Creates the refresher of the extension, with test doubles for SillyTavern and the page
+ * @param {Object} [options] - Test settings
+ * @param {Object} [options.settings] - Overrides of the effective settings
+ * @param {Object<string, Object>} [options.chatSettings] - Overrides of the settings of single chats, like settings profiles, by chat ID
+ * @param {Object} [options.policy] - Overrides of the refresh policy settings
+ * @param {Function} [options.buildRequest] - Builder of refresh requests, sends the prompt as is by default
+ * @param {Function} [options.sendRequest] - Sender of refresh requests, a fake sender by default
+ * @param {string} [options.source] - Chat completion source whose TTL profile applies
+ * @returns {Object} The scheduler, its doubles and what it reported
+ */
+export function createHarness({ settings = {}, chatSettings = {}, policy = {}, buildRequest = buildPromptRequest, sendRequest = createFakeSender(), source = 'claude' } = {}) {
+    const harness = {
+        settings: { enabled: true, maxRefreshes: 3, maxWarmChats: 3, ...settings },
+        chatSettings,
+        policy: { keepWarmWhileTyping: false, typingGrace: 0, hiddenTimeout: 0, idleTimeout: 0, maxKeepWarm: 0, ...policy },
+        activity: { lastTypingAt: 0, lastInteractionAt: Date.now(), hiddenSince: null },
+        chatName: 'Alice',
+        refresher: true,
+        generatingChatId: null,
+        eventSource: createFakeEventSource(),
+        sendRequest,
+        outcomes: [],
+        shared: [],
+        handedOff: [],
+        expiring: [],
+    };
+    const profile = () => resolveTtlProfile(source);
+    const settingsOf = (session) => ({ ...harness.settings, ...harness.chatSettings[session.chatId] });
+
+    harness.scheduler = createRefresher({
+        getSessionSettings: settingsOf,
+        getMaxSessions: () => harness.settings.maxWarmChats,
+        getChatName: () => harness.chatName,
+        getInterval: () => profile().interval,
+        getTtlProfile: profile,
+        checkPolicy: (session) => evaluateRefreshPolicy({ ...harness.activity, now: Date.now() }, harness.policy, session),
+        isLeader: () => harness.refresher,
+        getGeneratingChatId: () => harness.generatingChatId,
+        buildRequest,
+        sendRequest: (endpoint, payload, signal) => harness.sendRequest(endpoint, payload, signal),
+        onRefreshSettled: (session, outcome) => harness.outcomes.push({ chatId: session.chatId, ...outcome }),
+        onUpdate: () => {},
+        shareSession: (session) => harness.shared.push(session.chatId),
+        handOffToServer: (session) => harness.handedOff.push(session.chatId),
+        clearPauseWarning: () => {},
+        startExpiryCountdown: (session) => harness.expiring.push(session.chatId),
+        stopExpiryCountdown: (chatId) => {
+            harness.expiring = harness.expiring.filter(x => x !== chatId);
+        },
+        emitEvent: (eventType, detail) => harness.eventSource.emit(eventType, detail),
+        log: () => {},
+    });
+
+    /**
+     * Captures a prompt for a chat and starts its cycle, like a finished generation does
+     * @param {string} chatId - Chat to capture for
+     * @param {Array} [prompt] - Captured prompt
+     * @returns {import('../src/scheduler.js').RefreshSession} Session of the chat
+     */
+    harness.capture = (chatId, prompt = [{ role: 'user', content: `Hello from ${chatId}` }]) => {
+        const session = harness.scheduler.getSession(chatId, true);
+        session.prompt = prompt;
+        session.lastActivity = Date.now();
+        harness.scheduler.stopRefreshCycle(session);
+        harness.scheduler.beginRefreshCycle(session);
+        return session;
+    };
+
+    return harness;
+}
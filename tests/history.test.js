@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { addHistoryEntry, historyToCsv, historyToJson, parseHistory } from '../src/history.js';
+
+const ENTRY = {
+    timestamp: Date.parse('2025-06-01T12:00:00Z'),
+    chatId: 'chat-a',
+    chatName: 'Alice',
+    model: 'claude-sonnet-4',
+    outcome: 'hit',
+    latency: 850,
+    promptTokens: 5010,
+    cachedTokens: 5000,
+    cacheWriteTokens: 0,
+    outputTokens: 1,
+    cost: 0.0015,
+    error: '',
+};
+
+describe('refresh history', () => {
+    test('keeps the newest entries first, up to the limit', () => {
+        const history = [];
+        for (let i = 0; i < 4; i++) {
+            addHistoryEntry(history, { ...ENTRY, latency: i }, 3);
+        }
+
+        assert.deepEqual(history.map(x => x.latency), [3, 2, 1]);
+        assert.equal(addHistoryEntry(history, ENTRY, 0).length, 1);
+    });
+
+    test('a history that can\'t be parsed starts empty', () => {
+        assert.deepEqual(parseHistory(JSON.stringify([ENTRY])), [ENTRY]);
+        assert.deepEqual(parseHistory(null), []);
+        assert.deepEqual(parseHistory('{"not": "a list"}'), []);
+        assert.deepEqual(parseHistory('[broken'), []);
+    });
+
+    test('exports CSV with ISO timestamps and quoted cells where needed', () => {
+        const failed = { ...ENTRY, chatName: 'Bob, "the builder"', outcome: 'failed', promptTokens: null, cost: null, error: 'overloaded' };
+        const [header, ...rows] = historyToCsv([ENTRY, failed]).split('\r\n');
+
+        assert.equal(header, 'timestamp,chatId,chatName,model,outcome,latency,promptTokens,cachedTokens,cacheWriteTokens,outputTokens,cost,error');
+        assert.equal(rows[0], '2025-06-01T12:00:00.000Z,chat-a,Alice,claude-sonnet-4,hit,850,5010,5000,0,1,0.0015,');
+        assert.equal(rows[1], '2025-06-01T12:00:00.000Z,chat-a,"Bob, ""the builder""",claude-sonnet-4,failed,850,,5000,0,1,,overloaded');
+    });
+
+    test('exports JSON with ISO timestamps', () => {
+        assert.deepEqual(JSON.parse(historyToJson([ENTRY])), [{ ...ENTRY, timestamp: '2025-06-01T12:00:00.000Z' }]);
+    });
+});
@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createTotals, estimateCost, estimateUsage, findModelPrice, getDayKey, parseUsage, recordRefresh } from '../src/ledger.js';
+
+const SONNET = { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 };
+
+describe('usage parsing', () => {
+    test('Anthropic usage adds the cache reads and writes to the prompt', () => {
+        assert.deepEqual(parseUsage({ usage: { input_tokens: 10, cache_read_input_tokens: 5000, cache_creation_input_tokens: 200, output_tokens: 1 } }), {
+            promptTokens: 5210, inputTokens: 10, cachedTokens: 5000, cacheWriteTokens: 200, outputTokens: 1, cost: null,
+        });
+    });
+
+    test('OpenAI usage counts the cached tokens inside the prompt, with the cost OpenRouter reports', () => {
+        assert.deepEqual(parseUsage({ usage: { prompt_tokens: 1000, prompt_tokens_details: { cached_tokens: 800 }, completion_tokens: 1, cost: 0.0012 } }), {
+            promptTokens: 1000, inputTokens: 200, cachedTokens: 800, cacheWriteTokens: 0, outputTokens: 1, cost: 0.0012,
+        });
+    });
+
+    test('DeepSeek usage is split into cache hits and misses', () => {
+        assert.deepEqual(parseUsage({ usage: { prompt_tokens: 1000, prompt_cache_hit_tokens: 900, prompt_cache_miss_tokens: 100, completion_tokens: 1 } }), {
+            promptTokens: 1000, inputTokens: 100, cachedTokens: 900, cacheWriteTokens: 0, outputTokens: 1, cost: null,
+        });
+    });
+
+    test('Google usage metadata counts the cached content inside the prompt', () => {
+        assert.deepEqual(parseUsage({ usageMetadata: { promptTokenCount: 1000, cachedContentTokenCount: 600, candidatesTokenCount: 1 } }), {
+            promptTokens: 1000, inputTokens: 400, cachedTokens: 600, cacheWriteTokens: 0, outputTokens: 1, cost: null,
+        });
+    });
+
+    test('responses without usage report none, and broken counts are read as 0', () => {
+        assert.equal(parseUsage({ choices: [] }), null);
+        assert.equal(parseUsage(null), null);
+        assert.equal(parseUsage({ usage: { input_tokens: 'many', output_tokens: -1 } }).promptTokens, 0);
+    });
+});
+
+describe('prices', () => {
+    test('the most specific pattern wins, whatever the provider prefix', () => {
+        assert.deepEqual(findModelPrice('anthropic/claude-sonnet-4'), SONNET);
+        assert.equal(findModelPrice('gpt-5-mini').input, 0.25);
+        assert.equal(findModelPrice('gpt-5').input, 1.25);
+        assert.equal(findModelPrice('gemini-2.5-flash-lite').input, 0.1);
+    });
+
+    test('user prices replace the table for their exact model, unknown models have none', () => {
+        const custom = { input: 1, output: 1, cacheRead: 1, cacheWrite: 1 };
+        assert.equal(findModelPrice('claude-sonnet-4', { 'claude-sonnet-4': custom }), custom);
+        assert.equal(findModelPrice('my-local-model'), null);
+        assert.equal(findModelPrice(''), null);
+    });
+
+    test('a refresh is priced per kind of token, the cold re-prompt at the cache write price', () => {
+        const usage = parseUsage({ usage: { input_tokens: 10, cache_read_input_tokens: 100000, cache_creation_input_tokens: 0, output_tokens: 1 } });
+        const { cost, coldCost } = estimateCost(usage, SONNET);
+
+        assert.ok(Math.abs(cost - (10 * 3 + 100000 * 0.3 + 15) / 1e6) < 1e-12);
+        assert.ok(Math.abs(coldCost - 100010 * 3.75 / 1e6) < 1e-12);
+    });
+
+    test('the cost the provider reports wins over the estimate', () => {
+        const usage = { ...estimateUsage(1000), cost: 0.5 };
+        assert.equal(estimateCost(usage, SONNET).cost, 0.5);
+        assert.deepEqual(estimateCost(usage, null), { cost: 0.5, coldCost: null });
+        assert.deepEqual(estimateCost(estimateUsage(1000), null), { cost: null, coldCost: null });
+    });
+
+    test('a refresh without usage is estimated at the regular input price', () => {
+        const usage = estimateUsage(1000000);
+        assert.equal(usage.inputTokens, 1000000);
+        assert.equal(estimateCost(usage, SONNET).cost, 3);
+    });
+});
+
+describe('ledger totals', () => {
+    test('a refresh is added to its day and its chat', () => {
+        const ledger = { days: {}, chats: {} };
+        const timestamp = new Date(2025, 5, 1, 12).getTime();
+        const usage = estimateUsage(1000);
+
+        recordRefresh(ledger, { chatId: 'chat-a', usage, costs: { cost: 0.003, coldCost: 0.00375 }, timestamp });
+        recordRefresh(ledger, { chatId: 'chat-a', usage, costs: { cost: null, coldCost: null }, timestamp });
+
+        assert.deepEqual(Object.keys(ledger.days), ['2025-06-01']);
+        assert.deepEqual(ledger.chats['chat-a'], {
+            ...createTotals(), refreshes: 2, promptTokens: 2000, cost: 0.003, coldCost: 0.00375, lastRefresh: timestamp,
+        });
+    });
+
+    test('drops the oldest days and the least recently refreshed chats beyond the limits', () => {
+        const ledger = { days: {}, chats: {} };
+        const start = new Date(2025, 0, 1, 12).getTime();
+        for (let i = 0; i < 61; i++) {
+            recordRefresh(ledger, { chatId: `chat-${i}`, usage: estimateUsage(1), costs: { cost: 0, coldCost: 0 }, timestamp: start + i * 24 * 60 * 60 * 1000 });
+        }
+
+        assert.equal(Object.keys(ledger.days).length, 60);
+        assert.equal(ledger.days[getDayKey(start)], undefined);
+        assert.equal(Object.keys(ledger.chats).length, 50);
+        assert.equal(ledger.chats['chat-10'], undefined);
+        assert.ok(ledger.chats['chat-11']);
+    });
+
+    test('days are keyed in local time', () => {
+        assert.equal(getDayKey(new Date(2025, 11, 31, 23, 59).getTime()), '2025-12-31');
+        assert.equal(getDayKey(new Date(2026, 0, 1, 0, 0).getTime()), '2026-01-01');
+    });
+});
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { BUDGET_USED_UP_REASON, evaluateRefreshPolicy, getPolicyDeadline } from '../src/policy.js';
+
+const NOW = Date.parse('2025-06-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+const POLICY = { keepWarmWhileTyping: true, typingGrace: MINUTE, hiddenTimeout: 10 * MINUTE, idleTimeout: 30 * MINUTE, maxKeepWarm: 60 * MINUTE };
+
+/**
+ * Gets the activity signals of a user who is around but not typing
+ * @param {Object} [overrides] - Signals to change
+ * @returns {import('../src/policy.js').ActivitySignals} The signals
+ */
+function signals(overrides = {}) {
+    return { now: NOW, lastTypingAt: 0, lastInteractionAt: NOW - MINUTE, hiddenSince: null, ...overrides };
+}
+
+describe('refresh policy', () => {
+    test('refreshes within the budget use it up', () => {
+        const decision = evaluateRefreshPolicy(signals(), POLICY, { refreshesLeft: 2, cycleStartedAt: NOW - MINUTE });
+        assert.deepEqual(decision, { allow: true, consumeBudget: true, reason: 'within budget' });
+    });
+
+    test('the cycle ends once the budget is used up', () => {
+        const decision = evaluateRefreshPolicy(signals(), POLICY, { refreshesLeft: 0, cycleStartedAt: NOW - MINUTE });
+        assert.deepEqual(decision, { allow: false, consumeBudget: false, reason: BUDGET_USED_UP_REASON });
+    });
+
+    test('typing keeps the cache warm for free, whatever the other rules say', () => {
+        const session = { refreshesLeft: 0, cycleStartedAt: NOW - 2 * 60 * MINUTE };
+        const typing = signals({ lastTypingAt: NOW - 30 * 1000, hiddenSince: NOW - 20 * MINUTE });
+
+        assert.deepEqual(evaluateRefreshPolicy(typing, POLICY, session), { allow: true, consumeBudget: false, reason: 'user is typing' });
+        assert.equal(evaluateRefreshPolicy(typing, { ...POLICY, keepWarmWhileTyping: false }, session).allow, false);
+        assert.equal(evaluateRefreshPolicy(signals({ lastTypingAt: NOW - 2 * MINUTE }), POLICY, session).allow, false);
+    });
+
+    test('a hidden tab, an idle user and the total keep-warm time end the cycle', () => {
+        const session = { refreshesLeft: 2, cycleStartedAt: NOW - MINUTE };
+
+        assert.equal(evaluateRefreshPolicy(signals({ hiddenSince: NOW - 10 * MINUTE }), POLICY, session).reason, 'tab hidden too long');
+        assert.equal(evaluateRefreshPolicy(signals({ lastInteractionAt: NOW - 30 * MINUTE }), POLICY, session).reason, 'user idle too long');
+        assert.equal(evaluateRefreshPolicy(signals(), POLICY, { ...session, cycleStartedAt: NOW - 60 * MINUTE }).reason, 'keep-warm duration reached');
+    });
+
+    test('rules set to 0 are disabled', () => {
+        const policy = { keepWarmWhileTyping: false, typingGrace: 0, hiddenTimeout: 0, idleTimeout: 0, maxKeepWarm: 0 };
+        const idle = signals({ lastInteractionAt: NOW - 24 * 60 * MINUTE, hiddenSince: NOW - 24 * 60 * MINUTE });
+
+        assert.equal(evaluateRefreshPolicy(idle, policy, { refreshesLeft: 1, cycleStartedAt: NOW - 24 * 60 * MINUTE }).allow, true);
+    });
+});
+
+describe('policy deadline', () => {
+    test('is the earliest of the keep-warm duration and the idle timeout', () => {
+        assert.equal(getPolicyDeadline(signals(), POLICY, { cycleStartedAt: NOW - 50 * MINUTE }), NOW + 10 * MINUTE);
+        assert.equal(getPolicyDeadline(signals(), POLICY, { cycleStartedAt: NOW }), NOW + 29 * MINUTE);
+    });
+
+    test('is null when neither rule is set', () => {
+        assert.equal(getPolicyDeadline(signals(), { ...POLICY, idleTimeout: 0, maxKeepWarm: 0 }, { cycleStartedAt: NOW }), null);
+    });
+});
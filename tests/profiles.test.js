@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { applySettingsProfile, createSettingsProfile, PROFILE_SETTINGS, resolveSettingsProfile } from '../src/profiles.js';
+
+const SETTINGS = { enabled: true, refreshInterval: 270 * 1000, maxRefreshes: 3, maxTokens: 1, showNotifications: true };
+
+const PROFILES = {
+    'character:seraphina.png': { name: 'Character: Seraphina', overrides: { maxRefreshes: 10 } },
+    'connection:local': { name: 'Connection: Local', overrides: { enabled: false } },
+};
+
+describe('settings profiles', () => {
+    test('the profile of the character wins over the one of the connection profile', () => {
+        const character = { key: 'character:seraphina.png', name: 'Seraphina' };
+        const connection = { key: 'connection:local', name: 'Local' };
+
+        assert.equal(resolveSettingsProfile(PROFILES, [character, connection]).key, 'character:seraphina.png');
+        assert.equal(resolveSettingsProfile(PROFILES, [null, connection]).name, 'Connection: Local');
+        assert.equal(resolveSettingsProfile(PROFILES, [{ key: 'group:1', name: 'Party' }, null]), null);
+    });
+
+    test('a profile replaces only the settings it overrides', () => {
+        assert.deepEqual(applySettingsProfile(SETTINGS, PROFILES['character:seraphina.png']), {
+            enabled: true, refreshInterval: 270 * 1000, maxRefreshes: 10, maxTokens: 1,
+        });
+        assert.deepEqual(Object.keys(applySettingsProfile(SETTINGS, null)), PROFILE_SETTINGS);
+    });
+
+    test('a new profile starts from a copy of the given values', () => {
+        const profile = createSettingsProfile('Group: Party', SETTINGS);
+        profile.overrides.maxRefreshes = 0;
+
+        assert.deepEqual(profile, { name: 'Group: Party', overrides: { enabled: true, refreshInterval: 270 * 1000, maxRefreshes: 0, maxTokens: 1 } });
+        assert.equal(SETTINGS.maxRefreshes, 3);
+    });
+});
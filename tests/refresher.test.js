@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import { refresherEvents } from '../src/refresher.js';
+import { createHarness, flushPromises } from './helpers.js';
+
+// Refresh interval of the Claude TTL profile: 5 minutes minus the 30 second margin
+const INTERVAL = 270 * 1000;
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2025-06-01T12:00:00Z') });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+/**
+ * Lets the pending refresh timer fire and waits for the refresh to settle
+ * @param {number} ms - Time to advance
+ */
+async function advance(ms) {
+    mock.timers.tick(ms);
+    await flushPromises();
+}
+
+describe('refresher wiring', () => {
+    test('a generation of another chat doesn\'t hold back the refresh', async () => {
+        const harness = createHarness();
+        harness.capture('chat-a');
+        harness.generatingChatId = 'chat-b';
+
+        await advance(INTERVAL);
+
+        assert.equal(harness.sendRequest.calls.length, 1);
+    });
+
+    test('a session held by the server plugin isn\'t refreshed by the tab', async () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+        session.heldByServer = true;
+
+        await advance(INTERVAL);
+        assert.equal(harness.sendRequest.calls.length, 0);
+        assert.ok(session.refreshTimer);
+
+        assert.equal(await harness.scheduler.refreshCache(session, true), true);
+        assert.equal(harness.sendRequest.calls.length, 1);
+    });
+
+    test('every cycle change is shared with the other tabs and offered to the server plugin', async () => {
+        const harness = createHarness();
+        harness.capture('chat-a');
+        const changes = harness.shared.length;
+        assert.ok(changes > 0);
+
+        await advance(INTERVAL);
+
+        assert.ok(harness.shared.length > changes);
+        assert.deepEqual(harness.handedOff, harness.shared);
+    });
+
+    test('a cycle that used up its budget starts the expiry countdown, a new cycle cancels it', async () => {
+        const harness = createHarness({ settings: { maxRefreshes: 1 } });
+        harness.capture('chat-a');
+
+        await advance(INTERVAL);
+        await advance(INTERVAL);
+        assert.deepEqual(harness.expiring, ['chat-a']);
+
+        const stopped = harness.eventSource.emitted.filter(x => x.type === refresherEvents.CYCLE_STOPPED);
+        assert.deepEqual(stopped.map(x => x.args[0]), [{ chatId: 'chat-a', reason: 'refresh budget used up' }]);
+
+        harness.capture('chat-a');
+        assert.deepEqual(harness.expiring, []);
+    });
+
+    test('a cycle stopped for another reason doesn\'t start the expiry countdown', () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+
+        harness.scheduler.endRefreshCycle(session, 'stopped by the user');
+
+        assert.deepEqual(harness.expiring, []);
+    });
+});
@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { classifyRefreshError, ErrorCategory, RefreshError } from '../src/errors.js';
+import { buildChatCompletionPayload, buildTextCompletionPayload, getRefreshResponseLength, sendRefreshRequest } from '../src/requests.js';
+import { createHarness, startStubProvider } from './helpers.js';
+
+// Stand-ins for SillyTavern's chat completion request builders
+const builders = {
+    getModel: (settings) => settings.claude_model,
+    createParameters: async (settings, model, type, messages) => {
+        // Like SillyTavern, the builder rewrites message roles in place
+        messages.forEach(message => message.role = message.role === 'system' ? 'user' : message.role);
+        return { generate_data: { model, type, messages, max_tokens: settings.openai_max_tokens, stream: settings.stream_openai } };
+    },
+};
+
+describe('response length', () => {
+    test('caps the response length to the user\'s own', () => {
+        assert.equal(getRefreshResponseLength('claude-sonnet-4', 300, 1), 1);
+        assert.equal(getRefreshResponseLength('claude-sonnet-4', 5, 10), 5);
+        assert.equal(getRefreshResponseLength('claude-sonnet-4', undefined, 10), 10);
+    });
+
+    test('keeps the minimum of reasoning models', () => {
+        assert.equal(getRefreshResponseLength('gpt-5-mini', 300, 1), 16);
+        assert.equal(getRefreshResponseLength('openai/o3', 300, 1), 16);
+    });
+});
+
+describe('payloads', () => {
+    test('a chat completion refresh never modifies the user\'s settings or the captured prompt', async () => {
+        const completionSettings = { claude_model: 'claude-sonnet-4', openai_max_tokens: 800, stream_openai: true };
+        const prompt = [{ role: 'system', content: 'You are Alice.' }, { role: 'user', content: 'Hi' }];
+        const snapshot = structuredClone({ completionSettings, prompt });
+
+        const payload = await buildChatCompletionPayload(prompt, completionSettings, 1, builders);
+
+        assert.equal(payload.max_tokens, 1);
+        assert.equal(payload.stream, false);
+        assert.equal(payload.type, 'quiet');
+        assert.deepEqual({ completionSettings, prompt }, snapshot);
+    });
+
+    test('a text completion refresh caps every length field on a copy', () => {
+        const request = { prompt: 'Once upon a time', model: 'llama', max_new_tokens: 400, max_tokens: 400, stream: true };
+        const snapshot = structuredClone(request);
+
+        const payload = buildTextCompletionPayload(request, 1);
+
+        assert.equal(payload.max_new_tokens, 1);
+        assert.equal(payload.max_tokens, 1);
+        assert.equal(payload.stream, false);
+        assert.deepEqual(request, snapshot);
+    });
+});
+
+describe('stub provider', () => {
+    let provider;
+    let respond = () => ({ body: {} });
+
+    before(async () => {
+        provider = await startStubProvider(request => respond(request));
+    });
+
+    after(async () => {
+        await provider.close();
+    });
+
+    test('sends the payload and returns the response data', async () => {
+        respond = () => ({ body: { usage: { input_tokens: 10, cache_read_input_tokens: 900 } } });
+
+        const data = await sendRefreshRequest(`${provider.url}/api/backends/chat-completions/generate`, { model: 'claude-sonnet-4' }, { 'Content-Type': 'application/json' });
+
+        assert.equal(data.usage.cache_read_input_tokens, 900);
+        assert.deepEqual(provider.requests.at(-1).body, { model: 'claude-sonnet-4' });
+    });
+
+    test('surfaces the provider error forwarded with an error status', async () => {
+        respond = () => ({ status: 529, body: { error: { type: 'overloaded_error', message: 'Overloaded' } } });
+
+        const error = await sendRefreshRequest(`${provider.url}/generate`, {}, {}).catch(x => x);
+
+        assert.ok(error instanceof RefreshError);
+        assert.equal(error.status, 529);
+        assert.equal(error.type, 'overloaded_error');
+        assert.equal(classifyRefreshError(error), ErrorCategory.RETRYABLE);
+    });
+
+    test('detects errors answered with status 200', async () => {
+        respond = () => ({ body: { error: { message: 'Payment Required' }, quota_error: true } });
+
+        const error = await sendRefreshRequest(`${provider.url}/generate`, {}, {}).catch(x => x);
+
+        assert.equal(error.quota, true);
+        assert.equal(classifyRefreshError(error), ErrorCategory.AUTH);
+    });
+
+    test('retries a request that got no answer, but not a bug in building it', async () => {
+        const error = await sendRefreshRequest('http://127.0.0.1:1/generate', {}, {}).catch(x => x);
+
+        assert.equal(error.network, true);
+        assert.equal(classifyRefreshError(error), ErrorCategory.RETRYABLE);
+        assert.equal(classifyRefreshError(new TypeError('Cannot read properties of undefined (reading \'model\')')), ErrorCategory.FATAL);
+    });
+
+    test('a failed refresh leaves the user\'s response length as it was', async () => {
+        respond = () => ({ status: 500, body: 'Internal Server Error' });
+        const completionSettings = { claude_model: 'claude-sonnet-4', openai_max_tokens: 800, stream_openai: true };
+        const harness = createHarness({
+            buildRequest: async (session) => ({
+                endpoint: '/api/backends/chat-completions/generate',
+                payload: await buildChatCompletionPayload(session.prompt, completionSettings, 1, builders),
+            }),
+            sendRequest: (endpoint, payload) => sendRefreshRequest(`${provider.url}${endpoint}`, payload, {}),
+        });
+        const session = harness.scheduler.getSession('chat-a', true);
+        session.prompt = [{ role: 'user', content: 'Hi' }];
+
+        const succeeded = await harness.scheduler.refreshCache(session, true);
+        harness.scheduler.clearAllSessions();
+
+        assert.equal(succeeded, false);
+        assert.equal(harness.outcomes[0].error.status, 500);
+        assert.equal(provider.requests.at(-1).body.max_tokens, 1);
+        assert.equal(completionSettings.openai_max_tokens, 800);
+    });
+});
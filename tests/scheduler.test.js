@@ -0,0 +1,429 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import { RefreshError } from '../src/errors.js';
+import { AUTH_PAUSE_REASON, USER_PAUSE_REASON, USER_STOP_REASON } from '../src/scheduler.js';
+import { cacheHitResponse, createHarness, flushPromises } from './helpers.js';
+
+// Refresh interval of the Claude TTL profile: 5 minutes minus the 30 second margin
+const INTERVAL = 270 * 1000;
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2025-06-01T12:00:00Z') });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+/**
+ * Lets the pending refresh timer fire and waits for the refresh to settle
+ * @param {number} ms - Time to advance
+ */
+async function advance(ms) {
+    mock.timers.tick(ms);
+    await flushPromises();
+}
+
+describe('refresh cycle', () => {
+    test('schedules the first refresh one interval after capture', () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+
+        assert.equal(session.refreshesLeft, 3);
+        assert.equal(session.nextRefreshTime, Date.now() + INTERVAL);
+        assert.ok(harness.scheduler.isSessionActive(session));
+    });
+
+    test('refreshes until the budget is used up, then stops', async () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+
+        for (let i = 0; i < 3; i++) {
+            await advance(INTERVAL);
+        }
+
+        assert.equal(harness.sendRequest.calls.length, 3);
+        assert.equal(session.refreshesLeft, 0);
+        assert.equal(session.stopReason, 'refresh budget used up');
+        assert.equal(harness.scheduler.isSessionActive(session), false);
+
+        await advance(INTERVAL);
+        assert.equal(harness.sendRequest.calls.length, 3);
+    });
+
+    test('emits cycle_stopped once when a running cycle stops', async () => {
+        const harness = createHarness({ settings: { maxRefreshes: 1 } });
+        harness.capture('chat-a');
+
+        await advance(INTERVAL);
+        await advance(INTERVAL);
+
+        const stopped = harness.eventSource.emitted.filter(x => x.type === 'cache_refresher:cycle_stopped');
+        assert.equal(stopped.length, 1);
+        assert.deepEqual(stopped[0].args[0], { chatId: 'chat-a', reason: 'refresh budget used up' });
+    });
+
+    test('rescheduling and recapturing don\'t emit cycle_stopped for cycles that keep running', async () => {
+        const harness = createHarness();
+        harness.capture('chat-a');
+
+        harness.scheduler.rescheduleActiveSessions();
+        harness.capture('chat-a');
+        await advance(INTERVAL);
+
+        const stopped = harness.eventSource.emitted.filter(x => x.type === 'cache_refresher:cycle_stopped');
+        assert.equal(stopped.length, 0);
+    });
+
+    test('a new capture restarts the budget', async () => {
+        const harness = createHarness({ settings: { maxRefreshes: 2 } });
+        const session = harness.capture('chat-a');
+
+        await advance(INTERVAL);
+        assert.equal(session.refreshesLeft, 1);
+
+        harness.capture('chat-a');
+        assert.equal(session.refreshesLeft, 2);
+        assert.equal(session.nextRefreshTime, Date.now() + INTERVAL);
+    });
+
+    test('doesn\'t schedule anything while disabled', () => {
+        const harness = createHarness({ settings: { enabled: false } });
+        const session = harness.capture('chat-a');
+
+        assert.equal(session.refreshTimer, null);
+        assert.equal(harness.scheduler.isSessionActive(session), false);
+    });
+
+    test('doesn\'t schedule refreshes for sources whose TTL isn\'t extended by reuse', () => {
+        const harness = createHarness({ source: 'deepseek' });
+        const session = harness.capture('chat-a');
+
+        assert.equal(session.refreshTimer, null);
+        assert.equal(session.refreshesLeft, 0);
+    });
+
+    test('stopping clears the pending timer', async () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+
+        harness.scheduler.stopRefreshCycle(session);
+        await advance(INTERVAL);
+
+        assert.equal(harness.sendRequest.calls.length, 0);
+        assert.equal(session.nextRefreshTime, null);
+    });
+
+    test('a cache touch pushes the pending refresh back a full interval', async () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+
+        await advance(INTERVAL - 1000);
+        harness.scheduler.touchSessionCache(session);
+        await advance(1000);
+
+        assert.equal(harness.sendRequest.calls.length, 0);
+        assert.equal(session.nextRefreshTime, Date.now() + INTERVAL - 1000);
+    });
+
+    test('a user pause isn\'t undone by a refresh that was in flight', async () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+        let respond;
+        harness.sendRequest.queue.push(() => new Promise(resolve => respond = resolve));
+
+        mock.timers.tick(INTERVAL);
+        await flushPromises();
+        harness.scheduler.endRefreshCycle(session, USER_PAUSE_REASON);
+        respond(cacheHitResponse());
+        await flushPromises();
+
+        assert.equal(session.refreshTimer, null);
+        assert.equal(session.stopReason, USER_PAUSE_REASON);
+    });
+
+    test('a manual refresh doesn\'t restart a cycle the user stopped', async () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+
+        harness.scheduler.endRefreshCycle(session, USER_STOP_REASON);
+        await harness.scheduler.refreshCache(session, true);
+
+        assert.equal(harness.sendRequest.calls.length, 1);
+        assert.equal(session.refreshTimer, null);
+        assert.equal(session.stopReason, USER_STOP_REASON);
+    });
+
+    test('a tab that isn\'t the refresher only checks again later', async () => {
+        const harness = createHarness();
+        harness.refresher = false;
+        const session = harness.capture('chat-a');
+
+        await advance(INTERVAL);
+
+        assert.equal(harness.sendRequest.calls.length, 0);
+        assert.equal(session.refreshesLeft, 3);
+        assert.ok(session.refreshTimer);
+    });
+});
+
+describe('chat switches', () => {
+    test('every chat keeps its own countdown and budget', async () => {
+        const harness = createHarness();
+        const first = harness.capture('chat-a');
+
+        await advance(60 * 1000);
+        harness.chatName = 'Bob';
+        const second = harness.capture('chat-b');
+
+        await advance(INTERVAL - 60 * 1000);
+        assert.deepEqual(harness.outcomes.map(x => x.chatId), ['chat-a']);
+        assert.equal(first.refreshesLeft, 2);
+        assert.equal(second.refreshesLeft, 3);
+        assert.equal(second.chatName, 'Bob');
+
+        await advance(60 * 1000);
+        assert.deepEqual(harness.outcomes.map(x => x.chatId), ['chat-a', 'chat-b']);
+        assert.equal(harness.scheduler.countActiveSessions(), 2);
+    });
+
+    test('evicts the least recently active chat beyond the warm chat limit', async () => {
+        const harness = createHarness({ settings: { maxWarmChats: 2 } });
+        const first = harness.capture('chat-a');
+        await advance(1000);
+        harness.capture('chat-b');
+        await advance(1000);
+        harness.capture('chat-c');
+
+        assert.deepEqual([...harness.scheduler.sessions.keys()], ['chat-b', 'chat-c']);
+        assert.equal(first.refreshTimer, null);
+
+        await advance(INTERVAL);
+        assert.ok(harness.outcomes.every(x => x.chatId !== 'chat-a'));
+    });
+
+    test('a session evicted while refreshing isn\'t rescheduled', async () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+        let respond;
+        harness.sendRequest.queue.push(() => new Promise(resolve => respond = resolve));
+
+        mock.timers.tick(INTERVAL);
+        await flushPromises();
+        harness.scheduler.removeSession('chat-a');
+        respond(cacheHitResponse());
+        await flushPromises();
+
+        assert.equal(session.refreshTimer, null);
+        assert.equal(harness.scheduler.getSession('chat-a'), null);
+    });
+
+    test('every chat follows the settings of its own profile', async () => {
+        const harness = createHarness({ chatSettings: { 'chat-b': { maxRefreshes: 1 } } });
+        const first = harness.capture('chat-a');
+        const second = harness.capture('chat-b');
+        assert.equal(first.refreshesLeft, 3);
+        assert.equal(second.refreshesLeft, 1);
+
+        harness.chatSettings['chat-b'] = { enabled: false };
+        harness.scheduler.rescheduleActiveSessions();
+        await advance(INTERVAL);
+
+        assert.deepEqual(harness.outcomes.map(x => x.chatId), ['chat-a']);
+        assert.equal(harness.scheduler.isSessionActive(first), true);
+        assert.equal(harness.scheduler.isSessionActive(second), false);
+    });
+
+    test('clearing forgets every chat', () => {
+        const harness = createHarness();
+        harness.capture('chat-a');
+        harness.capture('chat-b');
+
+        harness.scheduler.clearAllSessions();
+
+        assert.equal(harness.scheduler.sessions.size, 0);
+        assert.equal(harness.scheduler.countActiveSessions(), 0);
+    });
+});
+
+describe('concurrent refresh prevention', () => {
+    test('a second refresh of the same chat is skipped while one is in flight', async () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+        let respond;
+        harness.sendRequest.queue.push(() => new Promise(resolve => respond = resolve));
+
+        const first = harness.scheduler.refreshCache(session, true);
+        await flushPromises();
+        const second = await harness.scheduler.refreshCache(session, true);
+
+        assert.equal(second, false);
+        assert.ok(session.refreshInProgress);
+
+        respond(cacheHitResponse());
+        assert.equal(await first, true);
+        assert.equal(harness.sendRequest.calls.length, 1);
+        assert.equal(session.refreshInProgress, false);
+    });
+
+    test('the timer firing during a manual refresh doesn\'t send another request', async () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+        let respond;
+        harness.sendRequest.queue.push(() => new Promise(resolve => respond = resolve));
+
+        mock.timers.tick(INTERVAL - 1000);
+        const manual = harness.scheduler.refreshCache(session, true);
+        await flushPromises();
+        await advance(1000);
+
+        respond(cacheHitResponse());
+        await manual;
+        assert.equal(harness.sendRequest.calls.length, 1);
+        assert.ok(session.refreshTimer);
+    });
+
+    test('refreshes of different chats may run at the same time', async () => {
+        const harness = createHarness();
+        const first = harness.capture('chat-a');
+        const second = harness.capture('chat-b');
+        const responders = [];
+        harness.sendRequest.queue.push(
+            () => new Promise(resolve => responders.push(resolve)),
+            () => new Promise(resolve => responders.push(resolve)),
+        );
+
+        const refreshes = [harness.scheduler.refreshCache(first, true), harness.scheduler.refreshCache(second, true)];
+        await flushPromises();
+        assert.equal(harness.sendRequest.calls.length, 2);
+
+        responders.forEach(respond => respond(cacheHitResponse()));
+        assert.deepEqual(await Promise.all(refreshes), [true, true]);
+    });
+});
+
+describe('overlapping generations', () => {
+    /**
+     * Response of a request that only ends when it is aborted
+     * @param {AbortSignal} signal - Abort signal of the request
+     * @returns {Promise<never>}
+     */
+    const hangUntilAborted = signal => new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+
+    test('a generation aborts the refresh in flight without using up the budget', async () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+        harness.sendRequest.queue.push(hangUntilAborted);
+
+        mock.timers.tick(INTERVAL);
+        await flushPromises();
+        assert.equal(harness.scheduler.abortRefresh(session), true);
+        await flushPromises();
+
+        const [outcome] = harness.outcomes;
+        assert.equal(outcome.aborted, true);
+        assert.equal(outcome.failReason, null);
+        assert.equal(session.refreshesLeft, 3);
+        assert.equal(session.refreshInProgress, false);
+        assert.equal(session.nextRefreshTime, Date.now() + INTERVAL);
+    });
+
+    test('an aborted manual refresh isn\'t retried', async () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+        harness.sendRequest.queue.push(hangUntilAborted);
+
+        const refresh = harness.scheduler.refreshCache(session, true);
+        await flushPromises();
+        harness.scheduler.abortRefresh(session);
+
+        assert.equal(await refresh, false);
+        assert.equal(harness.outcomes[0].retryDelay, null);
+        assert.equal(harness.sendRequest.calls.length, 1);
+    });
+
+    test('a refresh due during a generation waits for the generation to touch the cache', async () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+        harness.generatingChatId = 'chat-a';
+
+        await advance(INTERVAL);
+        assert.equal(harness.sendRequest.calls.length, 0);
+        assert.ok(session.refreshTimer);
+
+        await advance(30 * 1000);
+        harness.generatingChatId = null;
+        harness.scheduler.touchSessionCache(session);
+        assert.equal(session.nextRefreshTime, Date.now() + INTERVAL);
+        assert.equal(session.refreshesLeft, 3);
+    });
+
+    test('there is nothing to abort without a refresh in flight', () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+
+        assert.equal(harness.scheduler.abortRefresh(session), false);
+        assert.equal(harness.scheduler.abortRefresh(null), false);
+    });
+});
+
+describe('failed refreshes', () => {
+    test('a transient error is retried with backoff without using up the budget', async () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+        harness.sendRequest.queue.push(new RefreshError('Overloaded', { status: 529, type: 'overloaded_error' }));
+
+        await advance(INTERVAL);
+        const [outcome] = harness.outcomes;
+        assert.equal(outcome.succeeded, false);
+        assert.equal(outcome.retryDelay, 5000);
+        assert.equal(session.refreshesLeft, 3);
+        assert.equal(session.nextRefreshTime, Date.now() + 5000);
+
+        await advance(5000);
+        assert.equal(harness.outcomes[1].succeeded, true);
+        assert.equal(session.refreshesLeft, 2);
+        assert.equal(session.retryAttempt, 0);
+    });
+
+    test('stops retrying once the cache would expire before the retry lands', async () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+        harness.sendRequest.queue.push(...Array.from({ length: 5 }, () => new RefreshError('Overloaded', { status: 529 })));
+
+        // Retries after 5s and 10s, then one capped to land 5s before the cache expires
+        await advance(INTERVAL);
+        await advance(5000);
+        await advance(10 * 1000);
+        await advance(10 * 1000);
+
+        assert.equal(harness.sendRequest.calls.length, 4);
+
+        assert.equal(session.stopReason, 'cache expired while retrying');
+        assert.equal(harness.outcomes.at(-1).failReason, 'cache expired while retrying');
+        assert.equal(session.refreshTimer, null);
+    });
+
+    test('an auth error pauses the cycle', async () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+        harness.sendRequest.queue.push(new RefreshError('Invalid API key', { status: 401 }));
+
+        await advance(INTERVAL);
+
+        assert.equal(session.stopReason, AUTH_PAUSE_REASON);
+        assert.equal(session.refreshTimer, null);
+        assert.equal(session.refreshesLeft, 3);
+    });
+
+    test('any other error ends the cycle with the error as reason', async () => {
+        const harness = createHarness();
+        const session = harness.capture('chat-a');
+        harness.sendRequest.queue.push(new RefreshError('Prompt is too long', { status: 400 }));
+
+        await advance(INTERVAL);
+
+        assert.equal(session.stopReason, 'refresh failed: Prompt is too long');
+        assert.equal(harness.scheduler.isSessionActive(session), false);
+    });
+});
@@ -0,0 +1,295 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import { createKeepAlive, isRetryable } from '../server-plugin/index.mjs';
+import { classifyRefreshError, ErrorCategory, RefreshError } from '../src/errors.js';
+import { countAllowedRefreshes, createSpendCounter, getWindowEnd, parseTimeWindows } from '../src/guardrails.js';
+import { getPolicyDeadline } from '../src/policy.js';
+import { toRefreshOutcome } from '../src/server-keep-alive.js';
+import { cacheHitResponse, createFakeSender, flushPromises } from './helpers.js';
+
+const INTERVAL = 270 * 1000;
+const TTL = 300 * 1000;
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2025-06-01T12:00:00Z') });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+/**
+ * Lets the pending refresh timer fire and waits for the refresh to settle
+ * @param {number} ms - Time to advance
+ */
+async function advance(ms) {
+    mock.timers.tick(ms);
+    await flushPromises();
+}
+
+/**
+ * Creates the plugin's registry with a fake sender
+ * @returns {{keepAlive: Object, send: Function & {calls: Array, queue: Array}}} Registry and sender
+ */
+function createPlugin() {
+    const send = createFakeSender();
+    const keepAlive = createKeepAlive({ send: job => send(job.url, job.payload) });
+    return { keepAlive, send };
+}
+
+/**
+ * Hands a cycle over like the extension does
+ * @param {Object} keepAlive - Plugin registry
+ * @param {Object} [spec] - Overrides of the cycle
+ * @returns {Object} The job
+ */
+function handOver(keepAlive, spec = {}) {
+    return keepAlive.schedule('alice', {
+        chatId: 'chat-a',
+        chatName: 'Alice',
+        url: 'http://127.0.0.1:8000/api/backends/chat-completions/generate',
+        payload: { model: 'claude-sonnet-4', messages: [] },
+        headers: { 'x-csrf-token': 'token' },
+        delay: INTERVAL,
+        interval: INTERVAL,
+        ttl: TTL,
+        expiresIn: TTL,
+        refreshesLeft: 3,
+        stopIn: null,
+        unattendedTimeout: 0,
+        ...spec,
+    });
+}
+
+describe('server plugin', () => {
+    test('refreshes on the handed over schedule until the budget is used up', async () => {
+        const { keepAlive, send } = createPlugin();
+        handOver(keepAlive, { refreshesLeft: 2 });
+
+        await advance(INTERVAL - 1);
+        assert.equal(send.calls.length, 0);
+
+        await advance(1);
+        await advance(INTERVAL);
+        await advance(INTERVAL);
+
+        const [job] = keepAlive.list('alice');
+        assert.equal(send.calls.length, 2);
+        assert.equal(job.refreshesLeft, 0);
+        assert.equal(job.stopReason, 'refresh budget used up');
+        assert.deepEqual(job.results.map(result => result.succeeded), [true, true]);
+    });
+
+    test('keeps results until the extension acknowledges them', async () => {
+        const { keepAlive } = createPlugin();
+        handOver(keepAlive);
+
+        await advance(INTERVAL);
+        const [reported] = keepAlive.list('alice');
+        assert.equal(reported.results.length, 1);
+
+        const [acknowledged] = keepAlive.list('alice', { 'chat-a': reported.results[0].seq });
+        assert.equal(acknowledged.results.length, 0);
+    });
+
+    test('only reports the cycles of the user asking', () => {
+        const { keepAlive } = createPlugin();
+        handOver(keepAlive);
+
+        assert.equal(keepAlive.list('bob').length, 0);
+        assert.equal(keepAlive.list('alice').length, 1);
+    });
+
+    test('a new hand-over replaces the cycle of the chat without losing its results', async () => {
+        const { keepAlive, send } = createPlugin();
+        handOver(keepAlive);
+        await advance(INTERVAL);
+
+        handOver(keepAlive, { delay: 1000 });
+        await advance(1000);
+
+        const [job] = keepAlive.list('alice');
+        assert.equal(send.calls.length, 2);
+        assert.equal(job.results.length, 2);
+    });
+
+    test('a reschedule moves the countdown and keeps the request handed over before', async () => {
+        const { keepAlive, send } = createPlugin();
+        const cycle = { chatId: 'chat-a', chatName: 'Alice', headers: {}, delay: 1000, interval: INTERVAL, refreshesLeft: 3, allowance: null, stopIn: null, unattendedTimeout: 0 };
+        assert.equal(keepAlive.reschedule('alice', cycle), null);
+
+        const messages = [{ role: 'user', content: 'Hello' }];
+        handOver(keepAlive, { payload: { model: 'claude-sonnet-4', messages } });
+        const job = keepAlive.reschedule('alice', cycle);
+        await advance(1000);
+
+        assert.equal(send.calls.length, 1);
+        assert.deepEqual(send.calls[0].payload.messages, messages);
+        assert.equal(job.nextRefreshTime, Date.now() + INTERVAL);
+
+        keepAlive.cancel('alice', 'chat-a');
+        assert.equal(keepAlive.reschedule('alice', cycle), null);
+    });
+
+    test('cancelling stops the timer and hands back the unacknowledged results', async () => {
+        const { keepAlive, send } = createPlugin();
+        handOver(keepAlive);
+        await advance(INTERVAL);
+
+        const job = keepAlive.cancel('alice', 'chat-a');
+        await advance(INTERVAL);
+
+        assert.equal(job.results.length, 1);
+        assert.equal(send.calls.length, 1);
+        assert.equal(keepAlive.list('alice').length, 0);
+    });
+
+    test('retries a transient error, then stops on an error that won\'t go away', async () => {
+        const { keepAlive, send } = createPlugin();
+        send.queue.push(
+            Object.assign(new Error('Got response status 529: Overloaded'), { status: 529 }),
+            Object.assign(new Error('Got response status 401: invalid x-api-key'), { status: 401 }),
+        );
+        handOver(keepAlive);
+
+        await advance(INTERVAL);
+        const [retrying] = keepAlive.list('alice');
+        assert.equal(retrying.results[0].retryDelay, 5000);
+        assert.equal(retrying.stopReason, null);
+
+        await advance(5000);
+        const [stopped] = keepAlive.list('alice');
+        assert.equal(send.calls.length, 2);
+        assert.equal(stopped.stopReason, 'refresh failed: Got response status 401: invalid x-api-key');
+    });
+
+    test('stops on a network error, so the extension can take the cycle back while the cache is warm', async () => {
+        const { keepAlive, send } = createPlugin();
+        send.queue.push(Object.assign(new Error('Network error: self-signed certificate'), { network: true }));
+        handOver(keepAlive);
+
+        await advance(INTERVAL);
+
+        const [job] = keepAlive.list('alice');
+        assert.equal(send.calls.length, 1);
+        assert.equal(job.stopReason, 'refresh failed: Network error: self-signed certificate');
+        assert.equal(job.results[0].error.network, true);
+        assert.equal(toRefreshOutcome(job.results[0], 0).error.network, true);
+    });
+
+    test('retries only while the retry still lands before the cache expires', async () => {
+        const { keepAlive, send } = createPlugin();
+        const overloaded = () => Object.assign(new Error('Got response status 529: Overloaded'), { status: 529 });
+        send.queue.push(overloaded(), overloaded(), overloaded(), overloaded());
+        handOver(keepAlive);
+
+        await advance(INTERVAL);
+        await advance(5000);
+        await advance(10000);
+        await advance(10000);
+
+        const [job] = keepAlive.list('alice');
+        assert.deepEqual(job.results.map(result => result.retryDelay), [5000, 10000, 10000, null]);
+        assert.equal(job.stopReason, 'cache expired while retrying');
+    });
+
+    test('classifies errors like the extension does, auth errors first', () => {
+        const errors = [
+            Object.assign(new Error('Got response status 401: invalid x-api-key'), { status: 401 }),
+            Object.assign(new Error('Got response status 403'), { status: 403 }),
+            Object.assign(new Error('Invalid API key'), { type: 'authentication_error' }),
+            Object.assign(new Error('Got response status 429: You exceeded your current quota'), { status: 429 }),
+            Object.assign(new Error('Got response status 429: Too many requests'), { status: 429 }),
+            Object.assign(new Error('Got response status 529: Overloaded'), { status: 529 }),
+            Object.assign(new Error('Overloaded'), { type: 'overloaded_error' }),
+            Object.assign(new Error('Got response status 400: prompt is too long'), { status: 400 }),
+            new Error('Unexpected response'),
+        ];
+
+        for (const error of errors) {
+            const category = classifyRefreshError(new RefreshError(error.message, { status: error.status, type: error.type }));
+            assert.equal(isRetryable(error), category === ErrorCategory.RETRYABLE, error.message);
+        }
+        assert.deepEqual(errors.map(isRetryable), [false, false, false, false, true, true, true, false, false]);
+    });
+
+    test('honours the policy deadline and stops when no tab checks in', async () => {
+        const { keepAlive, send } = createPlugin();
+        handOver(keepAlive, { stopIn: INTERVAL + 1000 });
+        handOver(keepAlive, { chatId: 'chat-b', refreshesLeft: null, unattendedTimeout: 15 * 60 * 1000 });
+
+        for (let i = 0; i < 4; i++) {
+            await advance(INTERVAL);
+        }
+
+        const jobs = keepAlive.list('alice');
+        assert.equal(jobs.find(job => job.chatId === 'chat-a').stopReason, 'keep-warm duration reached');
+        assert.equal(jobs.find(job => job.chatId === 'chat-b').stopReason, 'tab hidden too long');
+        assert.equal(send.calls.length, 4);
+    });
+
+    test('stops once the spend limits allow no more refreshes', async () => {
+        const { keepAlive, send } = createPlugin();
+        handOver(keepAlive, { refreshesLeft: null, allowance: 2 });
+
+        for (let i = 0; i < 3; i++) {
+            await advance(INTERVAL);
+        }
+
+        const [job] = keepAlive.list('alice');
+        assert.equal(send.calls.length, 2);
+        assert.equal(job.stopReason, 'spend limit reached');
+    });
+
+    test('forgets a stopped cycle once the extension has seen how it ended', async () => {
+        const { keepAlive } = createPlugin();
+        handOver(keepAlive, { stopIn: 0 });
+        await advance(INTERVAL);
+
+        assert.equal(keepAlive.list('alice')[0].stopReason, 'keep-warm duration reached');
+        assert.equal(keepAlive.list('alice').length, 0);
+    });
+});
+
+describe('handing cycles to the server', () => {
+    test('server results become outcomes on the browser\'s clock', () => {
+        const succeeded = toRefreshOutcome({ seq: 1, startedAt: 1000, latency: 200, succeeded: true, model: 'claude-sonnet-4', data: cacheHitResponse(), error: null, retryDelay: null }, 500);
+        const failed = toRefreshOutcome({ seq: 2, startedAt: 2000, latency: 50, succeeded: false, model: 'claude-sonnet-4', data: null, error: { message: 'Got response status 402', status: 402, type: '', quota: false }, retryDelay: null }, 500);
+
+        assert.equal(succeeded.startedAt, 1500);
+        assert.equal(succeeded.decision.consumeBudget, true);
+        assert.equal(failed.category, ErrorCategory.AUTH);
+    });
+
+    test('the server gets the earliest deadline of the rules it can follow alone', () => {
+        const now = Date.now();
+        const signals = { now, lastTypingAt: 0, lastInteractionAt: now - 60 * 1000, hiddenSince: null };
+        const policy = { keepWarmWhileTyping: true, typingGrace: 0, hiddenTimeout: 0, idleTimeout: 10 * 60 * 1000, maxKeepWarm: 30 * 60 * 1000 };
+
+        assert.equal(getPolicyDeadline(signals, policy, { cycleStartedAt: now }), now + 9 * 60 * 1000);
+        assert.equal(getPolicyDeadline(signals, { ...policy, idleTimeout: 0 }, { cycleStartedAt: now }), now + 30 * 60 * 1000);
+        assert.equal(getPolicyDeadline(signals, { ...policy, idleTimeout: 0, maxKeepWarm: 0 }, { cycleStartedAt: now }), null);
+    });
+
+    test('the server gets the end of the keep-warm hours', () => {
+        const windows = parseTimeWindows('09:00-12:00, 22:00-02:00');
+
+        assert.equal(getWindowEnd(windows, new Date(2025, 5, 1, 10, 30)), new Date(2025, 5, 1, 12, 0).getTime());
+        assert.equal(getWindowEnd(windows, new Date(2025, 5, 1, 23, 0)), new Date(2025, 5, 2, 2, 0).getTime());
+        assert.equal(getWindowEnd(windows, new Date(2025, 5, 1, 1, 0)), new Date(2025, 5, 1, 2, 0).getTime());
+        assert.equal(getWindowEnd(windows, new Date(2025, 5, 1, 15, 0)), null);
+        assert.equal(getWindowEnd([], new Date(2025, 5, 1, 15, 0)), null);
+    });
+
+    test('the server gets the refreshes the spend limits still allow', () => {
+        const now = Date.now();
+        const counter = { ...createSpendCounter(now), dayTokens: 40000, dayCost: 0.5 };
+        const limits = { dailyTokenLimit: 100000, dailyCostLimit: 0, monthlyTokenLimit: 0, monthlyCostLimit: 0 };
+
+        assert.equal(countAllowedRefreshes(counter, limits, { tokens: 20000, cost: 0.01 }, now), 3);
+        assert.equal(countAllowedRefreshes(counter, { ...limits, dailyCostLimit: 0.55 }, { tokens: 20000, cost: 0.01 }, now), 3);
+        assert.equal(countAllowedRefreshes(counter, { ...limits, dailyCostLimit: 0.52 }, { tokens: 20000, cost: 0.01 }, now), 2);
+        assert.equal(countAllowedRefreshes(counter, { ...limits, dailyCostLimit: 1 }, { tokens: 20000, cost: null }, now), 0);
+        assert.equal(countAllowedRefreshes(counter, { ...limits, dailyTokenLimit: 0 }, { tokens: 20000, cost: null }, now), null);
+    });
+});
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import { createTabSync } from '../src/tab-sync.js';
+
+/**
+ * Broadcast channel delivering messages to the other channels of the same name right away
+ */
+class FakeChannel {
+    static open = [];
+
+    constructor(name) {
+        this.name = name;
+        this.listeners = [];
+        FakeChannel.open.push(this);
+    }
+
+    postMessage(data) {
+        for (const channel of FakeChannel.open) {
+            if (channel !== this && channel.name === this.name) {
+                channel.listeners.forEach(listener => listener({ data }));
+            }
+        }
+    }
+
+    addEventListener(_type, listener) {
+        this.listeners.push(listener);
+    }
+}
+
+/**
+ * Opens a tab, with the callbacks it got recorded
+ * @returns {{sync: import('../src/tab-sync.js').TabSync, messages: Object[], roles: boolean[]}} The tab
+ */
+function openTab() {
+    const tab = { messages: [], roles: [] };
+    tab.sync = createTabSync({
+        name: 'cache_refresher',
+        onMessage: message => tab.messages.push(message),
+        onLeaderChange: leader => tab.roles.push(leader),
+    });
+    return tab;
+}
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.parse('2025-06-01T12:00:00Z') });
+    const storage = new Map();
+    globalThis.localStorage = {
+        getItem: key => storage.get(key) ?? null,
+        setItem: (key, value) => storage.set(key, String(value)),
+        removeItem: key => storage.delete(key),
+    };
+    globalThis.document = { visibilityState: 'visible', addEventListener: () => {} };
+    globalThis.window = { addEventListener: () => {} };
+    globalThis.BroadcastChannel = FakeChannel;
+    FakeChannel.open = [];
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    delete globalThis.localStorage;
+    delete globalThis.document;
+    delete globalThis.window;
+    delete globalThis.BroadcastChannel;
+});
+
+describe('tab sync', () => {
+    test('the tab opened last while visible sends the refreshes', () => {
+        const first = openTab();
+        const second = openTab();
+
+        assert.equal(first.sync.isLeader(), false);
+        assert.equal(second.sync.isLeader(), true);
+        assert.deepEqual(first.roles, [true, false]);
+    });
+
+    test('a hidden tab keeps a lease that ran out between throttled heartbeats', () => {
+        const tab = openTab();
+        document.visibilityState = 'hidden';
+
+        // Timers of a hidden tab may not run for a minute, while the lease lasts 15 seconds
+        mock.timers.setTime(Date.now() + 60 * 1000);
+
+        assert.equal(tab.sync.isLeader(), true);
+        assert.ok(JSON.parse(localStorage.getItem('cache_refresher_leader')).expiresAt > Date.now());
+    });
+
+    test('a tab takes over a lease its holder stopped renewing', () => {
+        localStorage.setItem('cache_refresher_leader', JSON.stringify({ tabId: 'closed', expiresAt: Date.now() + 15 * 1000 }));
+        document.visibilityState = 'hidden';
+        const tab = openTab();
+        assert.equal(tab.sync.isLeader(), false);
+
+        mock.timers.tick(15 * 1000);
+
+        assert.equal(tab.sync.isLeader(), true);
+        assert.deepEqual(tab.roles, [true]);
+    });
+
+    test('messages go to the other tabs only', () => {
+        const first = openTab();
+        const second = openTab();
+
+        first.sync.post({ type: 'session', state: { chatId: 'chat-a' } });
+
+        assert.deepEqual(second.messages, [{ type: 'session', state: { chatId: 'chat-a' } }]);
+        assert.deepEqual(first.messages, []);
+    });
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { checkRefreshTarget, createRefreshTarget, describeRefreshTarget, isSameConnection } from '../src/target.js';
+
+const getModel = settings => settings.chat_completion_source === 'claude' ? settings.claude_model : settings.openai_model;
+
+const secretState = {
+    api_key_claude: [
+        { id: 'work', value: 'sk-a***', label: 'Work', active: true },
+        { id: 'personal', value: 'sk-b***', label: 'Personal', active: false },
+    ],
+};
+
+/**
+ * Captures a Claude target with the work key active
+ * @param {Object} [completionSettings] - Chat completion settings at capture time
+ * @returns {import('../src/target.js').RefreshTarget} The target
+ */
+function captureClaude(completionSettings = { chat_completion_source: 'claude', claude_model: 'claude-sonnet-4', openai_model: 'gpt-4o' }) {
+    return createRefreshTarget({
+        api: 'openai',
+        completionSettings,
+        request: null,
+        getModel,
+        secretKey: 'api_key_claude',
+        secretState,
+    });
+}
+
+describe('refresh targets', () => {
+    test('snapshot the source, model and active key of a chat completion prompt', () => {
+        const target = captureClaude();
+
+        assert.equal(target.source, 'claude');
+        assert.equal(target.model, 'claude-sonnet-4');
+        assert.equal(target.secretId, 'work');
+        assert.equal(describeRefreshTarget(target), 'claude / claude-sonnet-4');
+    });
+
+    test('keep the captured settings when the user switches models afterwards', () => {
+        const completionSettings = { chat_completion_source: 'claude', claude_model: 'claude-sonnet-4', openai_model: 'gpt-4o' };
+        const target = captureClaude(completionSettings);
+
+        completionSettings.chat_completion_source = 'openai';
+        completionSettings.claude_model = 'claude-opus-4';
+
+        assert.equal(target.settings.chat_completion_source, 'claude');
+        assert.equal(getModel(target.settings), 'claude-sonnet-4');
+    });
+
+    test('take the backend and model of a text completion prompt from its request', () => {
+        const target = createRefreshTarget({
+            api: 'textgenerationwebui',
+            completionSettings: null,
+            request: { prompt: 'Once upon a time', api_type: 'llamacpp', model: 'llama-3' },
+            getModel,
+            secretKey: null,
+            secretState,
+        });
+
+        assert.equal(target.settings, null);
+        assert.equal(describeRefreshTarget(target), 'llamacpp / llama-3');
+        assert.equal(checkRefreshTarget(target, {}), null);
+    });
+
+    test('can be honoured while the captured key stays active', () => {
+        assert.equal(checkRefreshTarget(captureClaude(), secretState), null);
+    });
+
+    test('can no longer be honoured once another key is active', () => {
+        const rotated = {
+            api_key_claude: secretState.api_key_claude.map(secret => ({ ...secret, active: secret.id === 'personal' })),
+        };
+
+        assert.equal(checkRefreshTarget(captureClaude(), rotated), 'the claude API key changed since the prompt was captured');
+        assert.notEqual(checkRefreshTarget(captureClaude(), {}), null);
+        assert.notEqual(checkRefreshTarget(null, secretState), null);
+    });
+
+    test('compare connections by source and model only', () => {
+        const target = captureClaude();
+        const sameModel = captureClaude({ chat_completion_source: 'claude', claude_model: 'claude-sonnet-4', temp_openai: 0.5 });
+        const otherModel = captureClaude({ chat_completion_source: 'claude', claude_model: 'claude-opus-4' });
+
+        assert.equal(isSameConnection(target, sameModel), true);
+        assert.equal(isSameConnection(target, otherModel), false);
+        assert.equal(isSameConnection(target, null), false);
+    });
+});
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { FALLBACK_PROFILE_KEY, resolveTtlProfile } from '../src/ttl-profiles.js';
+
+const MINUTE = 60 * 1000;
+
+describe('TTL profiles', () => {
+    test('a known source refreshes its TTL minus the margin', () => {
+        const profile = resolveTtlProfile('claude');
+
+        assert.equal(profile.key, 'claude');
+        assert.equal(profile.interval, 270 * 1000);
+        assert.equal(profile.overridden, false);
+    });
+
+    test('other sources use the fallback interval as a TTL without margin', () => {
+        const profile = resolveTtlProfile('koboldcpp', {}, 4 * MINUTE);
+
+        assert.equal(profile.key, FALLBACK_PROFILE_KEY);
+        assert.equal(profile.ttl, 4 * MINUTE);
+        assert.equal(profile.interval, 4 * MINUTE);
+        assert.equal(resolveTtlProfile(null).key, FALLBACK_PROFILE_KEY);
+    });
+
+    test('user overrides replace the fields they set', () => {
+        const profile = resolveTtlProfile('claude', { claude: { ttl: 60 * MINUTE } });
+
+        assert.equal(profile.ttl, 60 * MINUTE);
+        assert.equal(profile.margin, 30 * 1000);
+        assert.equal(profile.interval, 60 * MINUTE - 30 * 1000);
+        assert.equal(profile.overridden, true);
+        assert.equal(resolveTtlProfile('openai', { claude: { ttl: 60 * MINUTE } }).overridden, false);
+    });
+
+    test('the interval is never shorter than 10 seconds', () => {
+        assert.equal(resolveTtlProfile('claude', { claude: { ttl: 20 * 1000 } }).interval, 10 * 1000);
+    });
+
+    test('sources whose TTL isn\'t extended by reuse say so', () => {
+        assert.equal(resolveTtlProfile('makersuite').resetsTtl, false);
+        assert.equal(resolveTtlProfile('openrouter').resetsTtl, true);
+    });
+});